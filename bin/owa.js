@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/**
+ * OpenWorldAgent - Command Line Interface
+ * Runs the generation pipeline from the shell, cron jobs and scripts
+ */
+
+import { parseArgs } from 'util';
+import { Orchestrator } from '../core/orchestrator.js';
+import { NPMPackager } from '../core/npm-packager.js';
+import { ConfigUpdater } from '../core/config-updater.js';
+import { AuthManager } from '../core/auth-manager.js';
+import { PackageDeployer } from '../core/package-deployer.js';
+import { StatsStore } from '../core/stats-store.js';
+import { StatusMonitor } from '../core/status-monitor.js';
+import { DEFAULT_FORBIDDEN_ACTIONS } from '../core/domain-policy.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: owa <command> [options]
+
+Commands:
+  generate <url> --name <site>   Generate an MCP package for a website
+  generate --resume <runId>      Resume a failed run from its checkpoints
+  generate --replay <runId>      Regenerate offline from a run's recorded HAR/snapshot
+  analyze <url>                  Vision analysis + interface map, no package
+  list                           List generated packages
+  deploy <package>               Validate, smoke test and add to Claude Desktop
+  undeploy <package>             Remove a package from Claude Desktop
+  status                         Dependency probes and statistics
+
+Options:
+  --name <site>            Package name for generate (e.g. "suno")
+  --headless               Run the browser headless
+  --engine <name>          chromium | firefox | webkit
+  --viewport <WxH>         Viewport size, e.g. 1920x1080
+  --locale <locale>        Browser locale, e.g. en-GB
+  --timezone <id>          Browser timezone, e.g. Europe/London
+  --proxy <server>         Proxy server, e.g. http://proxy:8080
+  --user-agent <ua>        Override the user agent
+  --header <name:value>    Extra HTTP header (repeatable)
+  --output-dir <dir>       Where packages are written (default: $MCP_BASE_DIR/generated)
+  --skip-auth              Skip the authentication stage
+  --no-deploy              Do not add the generated package to Claude Desktop
+  --explore                Open menus, dialogs and tabs and generate tools for what they reveal
+  --crawl                  Crawl same-origin links and generate per-route tools
+  --max-depth <n>          Crawl depth (default 2)
+  --max-pages <n>          Crawl page limit (default 20)
+  --include <glob>         Only crawl matching paths, e.g. "/docs/**" (repeatable)
+  --exclude <glob>         Skip matching paths (repeatable)
+  --no-record              Do not save a HAR and DOM snapshot of the session
+  --allow-domain <d>       Only visit this domain and its subdomains (repeatable)
+  --block-domain <d>       Never visit this domain (repeatable)
+  --forbid-action <text>   Also forbid tools/clicks for this action, e.g. "unsubscribe" (repeatable)
+  --max-rps <n>            Requests per second per host (default 2, 0 = unlimited)
+  --ignore-robots          Do not honor robots.txt
+  --wait-for <selector>    Wait for this selector before analyzing the page
+  --stage-timeout <s=ms>   Per-attempt stage timeout, e.g. navigate=90000 (repeatable)
+  --retries <s=n>          Stage retries, e.g. navigate=3 (repeatable)
+  --replay <runId>         Serve a recorded run instead of the network (generate)
+  --resume <runId>         Resume a run instead of starting a new one (generate)
+  --from-stage <stage>     Rerun from this stage, e.g. "tools" to regenerate code offline
+  --vision-method <m>      visioncraft | yolo | both (analyze)
+  --site <filter>          Only list packages for this site
+  --sort <order>           newest | oldest (list)
+  --json                   Print machine-readable JSON on stdout
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error`;
+
+const OPTIONS = {
+  name: { type: 'string' },
+  headless: { type: 'boolean' },
+  engine: { type: 'string' },
+  viewport: { type: 'string' },
+  locale: { type: 'string' },
+  timezone: { type: 'string' },
+  proxy: { type: 'string' },
+  'user-agent': { type: 'string' },
+  header: { type: 'string', multiple: true },
+  'output-dir': { type: 'string' },
+  'skip-auth': { type: 'boolean', default: false },
+  'no-deploy': { type: 'boolean', default: false },
+  explore: { type: 'boolean', default: false },
+  crawl: { type: 'boolean', default: false },
+  'max-depth': { type: 'string' },
+  'max-pages': { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'no-record': { type: 'boolean', default: false },
+  'allow-domain': { type: 'string', multiple: true },
+  'block-domain': { type: 'string', multiple: true },
+  'forbid-action': { type: 'string', multiple: true },
+  'max-rps': { type: 'string' },
+  'ignore-robots': { type: 'boolean', default: false },
+  'wait-for': { type: 'string' },
+  'stage-timeout': { type: 'string', multiple: true },
+  retries: { type: 'string', multiple: true },
+  replay: { type: 'string' },
+  resume: { type: 'string' },
+  'from-stage': { type: 'string' },
+  'vision-method': { type: 'string', default: 'visioncraft' },
+  site: { type: 'string' },
+  sort: { type: 'string', default: 'newest' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Print either the JSON data or the human summary, return the exit code
+ */
+function report(flags, success, summary, data) {
+  if (flags.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    console.log(summary);
+  }
+  return success ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Browser settings from the command line flags
+ */
+function browserOptions(flags) {
+  let viewport;
+  if (flags.viewport) {
+    const match = flags.viewport.match(/^(\d+)x(\d+)$/);
+    if (!match) {
+      throw new UsageError(`Invalid --viewport: ${flags.viewport} (expected WxH)`);
+    }
+    viewport = { width: Number(match[1]), height: Number(match[2]) };
+  }
+
+  const extraHTTPHeaders = flags.header && Object.fromEntries(flags.header.map(header => {
+    const separator = header.indexOf(':');
+    if (separator < 1) {
+      throw new UsageError(`Invalid --header: ${header} (expected name:value)`);
+    }
+    return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+  }));
+
+  return {
+    engine: flags.engine,
+    headless: flags.headless,
+    viewport,
+    locale: flags.locale,
+    timezoneId: flags.timezone,
+    proxy: flags.proxy,
+    extraHTTPHeaders,
+    userAgent: flags['user-agent']
+  };
+}
+
+/**
+ * Crawl settings from the command line flags, or false when not crawling
+ */
+function crawlOptions(flags) {
+  if (!flags.crawl) {
+    return false;
+  }
+
+  const limit = (name) => {
+    if (flags[name] === undefined) return undefined;
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new UsageError(`Invalid --${name}: ${flags[name]}`);
+    }
+    return value;
+  };
+
+  return {
+    maxDepth: limit('max-depth'),
+    maxPages: limit('max-pages'),
+    include: flags.include,
+    exclude: flags.exclude
+  };
+}
+
+/**
+ * Domain policy from the command line flags
+ */
+function policyOptions(flags) {
+  const maxRequestsPerSecond = flags['max-rps'] === undefined ? undefined : Number(flags['max-rps']);
+  if (maxRequestsPerSecond !== undefined && !(maxRequestsPerSecond >= 0)) {
+    throw new UsageError(`Invalid --max-rps: ${flags['max-rps']}`);
+  }
+
+  return {
+    allowedDomains: flags['allow-domain'],
+    blockedDomains: flags['block-domain'],
+    forbiddenActions: flags['forbid-action'] && [...DEFAULT_FORBIDDEN_ACTIONS, ...flags['forbid-action']],
+    maxRequestsPerSecond,
+    robots: !flags['ignore-robots']
+  };
+}
+
+/**
+ * Per-stage policy overrides from --stage-timeout and --retries
+ */
+function stageOptions(flags) {
+  const stages = {};
+  const parse = (flag, key) => (flags[flag] || []).forEach(entry => {
+    const match = entry.match(/^([\w-]+)=(\d+)$/);
+    if (!match) {
+      throw new UsageError(`Invalid --${flag}: ${entry} (expected stage=number)`);
+    }
+    stages[match[1]] = { ...stages[match[1]], [key]: Number(match[2]) };
+  });
+
+  parse('stage-timeout', 'timeout');
+  parse('retries', 'retries');
+  return Object.keys(stages).length > 0 ? stages : undefined;
+}
+
+function requireArg(value, name) {
+  if (!value) {
+    throw new UsageError(`Missing ${name}`);
+  }
+  return value;
+}
+
+const commands = {
+  async generate(flags, [url]) {
+    if (!flags.resume && !flags.replay) {
+      requireArg(url, '<url>');
+      requireArg(flags.name, '--name');
+    }
+    const orchestrator = new Orchestrator({
+      outputDir: flags['output-dir'],
+      statsStore: new StatsStore()
+    });
+
+    process.once('SIGINT', async () => {
+      await orchestrator.cleanup();
+      process.exit(130);
+    });
+
+    // A replay reuses the recorded run's options, so only pass what was asked for
+    const options = flags.replay
+      ? { replay: flags.replay, ...(flags['no-deploy'] && { autoDeploy: false }) }
+      : {
+        browser: browserOptions(flags),
+        explore: flags.explore,
+        crawl: crawlOptions(flags),
+        record: !flags['no-record'],
+        navigation: flags['wait-for'] ? { readySelector: flags['wait-for'] } : undefined,
+        stages: stageOptions(flags),
+        policy: policyOptions(flags),
+        skipAuth: flags['skip-auth'],
+        autoDeploy: !flags['no-deploy']
+      };
+
+    const result = flags.resume
+      ? await orchestrator.resumeRun(flags.resume, { fromStage: flags['from-stage'] })
+      : await orchestrator.generateAutomation(url, flags.name, options);
+
+    const summary = result.success
+      ? `✅ ${result.packageName}: ${result.tools} tools in ${result.elapsed}
+📁 ${result.packagePath}
+🚀 Deployed: ${result.deployed ? 'yes' : 'no'}${result.degradedStages.length > 0 ? `
+⚠️ Degraded: ${result.degradedStages.join(', ')}` : ''}${result.violations.length > 0 ? `
+🚫 Blocked by policy: ${result.violations.map(violation => violation.target).join(', ')}` : ''}`
+      : `❌ Generation failed at "${result.failedAt}": ${result.error}
+♻️ Resume with: owa generate --resume ${result.runId}`;
+
+    return report(flags, result.success, summary, result);
+  },
+
+  async analyze(flags, [url]) {
+    requireArg(url, '<url>');
+    const orchestrator = new Orchestrator();
+    const analysis = await orchestrator.analyzeInterface(url, {
+      browser: browserOptions(flags),
+      navigation: flags['wait-for'] ? { readySelector: flags['wait-for'] } : undefined,
+      policy: policyOptions(flags),
+      visionMethod: flags['vision-method']
+    });
+
+    const { visionResult, interfaceMap } = analysis;
+    const categories = orchestrator.interfaceMapper.summarizeCategories(interfaceMap);
+    const counts = Object.entries(categories)
+      .map(([category, elements]) => `  ${category}: ${elements.length}`)
+      .join('\n');
+
+    return report(flags, true, `👁️ ${analysis.finalUrl}
+🔍 Vision: ${visionResult.method} (confidence ${visionResult.confidence})
+🧩 Elements: ${interfaceMap.totalElements || 0}
+🎯 Automation potential: ${interfaceMap.automationPotential?.score ?? 0}/100
+${counts}`, {
+      url,
+      finalUrl: analysis.finalUrl,
+      vision: visionResult,
+      interfaceMap: {
+        totalElements: interfaceMap.totalElements || 0,
+        categories
+      },
+      automationPotential: interfaceMap.automationPotential || {}
+    });
+  },
+
+  async list(flags) {
+    const packager = new NPMPackager({ outputDir: flags['output-dir'] });
+    const result = await packager.listPackages({ site: flags.site, sort: flags.sort });
+
+    const lines = result.packages.map(pkg =>
+      `${pkg.packageName}\t${pkg.toolCount} tools\t${pkg.deployStatus}\t${pkg.generatedAt}\t${pkg.sourceUrl}${pkg.missing ? '\t(missing)' : ''}`
+    );
+    lines.push(...result.orphans.map(orphan => `${orphan.packageName}\t(orphaned directory)`));
+
+    return report(flags, true, lines.join('\n') || 'No packages generated yet', result);
+  },
+
+  async deploy(flags, [packageName]) {
+    requireArg(packageName, '<package>');
+    const deployer = new PackageDeployer({
+      npmPackager: new NPMPackager({ outputDir: flags['output-dir'] }),
+      statsStore: new StatsStore()
+    });
+    const result = await deployer.deploy(packageName);
+
+    const summary = result.success
+      ? `🚀 Deployed ${result.packageName} as ${result.deployResult.serverName} (restart Claude Desktop)`
+      : `❌ Deploy failed at ${result.failedStep}: ${result.error}`;
+
+    return report(flags, result.success, summary, result);
+  },
+
+  async undeploy(flags, [packageName]) {
+    requireArg(packageName, '<package>');
+    const deployer = new PackageDeployer({
+      npmPackager: new NPMPackager({ outputDir: flags['output-dir'] })
+    });
+    const result = await deployer.undeploy(packageName);
+
+    const summary = result.success
+      ? `🗑️ Removed ${result.serverName} from Claude Desktop (restart Claude Desktop)`
+      : `❌ Undeploy failed: ${result.error}`;
+
+    return report(flags, result.success, summary, result);
+  },
+
+  async status(flags) {
+    const monitor = new StatusMonitor({
+      configUpdater: new ConfigUpdater(),
+      authManager: new AuthManager(),
+      statsStore: new StatsStore()
+    });
+    const status = await monitor.getStatus();
+
+    const lines = Object.entries(status.components)
+      .map(([name, probe]) => `${probe.ok ? '🟢' : '🔴'} ${name}: ${probe.detail}`);
+    lines.push(`📈 Generations: ${status.stats.generations.total} (${status.stats.generations.failed} failed), deployments: ${status.stats.deployments.succeeded}`);
+
+    return report(flags, status.healthy, lines.join('\n'), status);
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return parsed.values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await commands[command](parsed.values, positionals);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error(`❌ ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,210 @@
+/**
+ * OpenWorldAgent - Accessibility
+ * Reads Playwright's ARIA snapshot - the browser's accessibility tree - and merges it with DOM data
+ */
+
+export const INTERACTIVE_ROLES = [
+  'button', 'link', 'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch',
+  'slider', 'spinbutton', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'tab', 'treeitem'
+];
+
+export const FIELD_ROLES = ['textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton'];
+
+// Landmarks, plus dialogs, which scope their content the same way
+export const LANDMARK_ROLES = [
+  'banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search', 'dialog', 'alertdialog'
+];
+
+const CLICKABLE_ROLES = ['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem'];
+
+// Wrappers that share a box with the element they wrap
+const PRESENTATIONAL_ROLES = ['generic', 'group', 'none', 'presentation', 'paragraph', 'listitem', 'text'];
+
+/**
+ * ARIA snapshot of a page or frame with element boxes, or null if the browser cannot take one
+ */
+export async function takeAriaSnapshot(frame, timeout = 5000) {
+  try {
+    return await frame.locator('body').ariaSnapshot({ boxes: true, timeout });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flatten an ARIA snapshot into nodes in document order
+ *
+ * Each node has its computed `role`, accessible `name`, `states`
+ * (disabled, checked, expanded, pressed, selected, level...), `box`, link
+ * `url`, and the `landmarks` enclosing it, outermost first. Text nodes are
+ * dropped.
+ */
+export function parseAriaSnapshot(yaml) {
+  const nodes = [];
+  const ancestors = [];
+
+  for (const line of (yaml || '').split('\n')) {
+    const match = line.match(/^(\s*)- (.*)$/);
+    if (!match) continue;
+
+    const indent = match[1].length;
+    while (ancestors.length && ancestors.at(-1).indent >= indent) {
+      ancestors.pop();
+    }
+
+    const { key, value } = splitEntry(match[2]);
+    const parent = ancestors.at(-1)?.node;
+    if (key.startsWith('/')) {
+      if (parent) parent[key.slice(1)] = value;
+      continue;
+    }
+
+    const node = parseKey(key);
+    if (!node || node.role === 'text') continue;
+
+    node.landmarks = ancestors
+      .map(ancestor => ancestor.node)
+      .filter(ancestor => LANDMARK_ROLES.includes(ancestor.role))
+      .map(describeNode);
+    nodes.push(node);
+    ancestors.push({ indent, node });
+  }
+
+  return nodes;
+}
+
+/**
+ * Annotate DOM-mapped elements with the accessibility node drawn in the same box
+ *
+ * Elements gain `role`, `accessibleName`, `states` and `landmarks`, and
+ * count as clickable when their role is (a `div` with role `button`). Their
+ * role locator candidate is replaced by the computed role and name, counted
+ * against the snapshot - the same tree `getByRole` queries. Elements inside
+ * shadow roots keep theirs, as their locators are counted within the root.
+ */
+export function mergeAccessibility(elements, nodes) {
+  const byBox = new Map();
+  const roleNames = new Map();
+  nodes.forEach(node => {
+    if (node.box) {
+      const key = boxKey(node.box);
+      byBox.set(key, [...(byBox.get(key) || []), node]);
+    }
+    const roleName = `${node.role} ${node.name}`;
+    roleNames.set(roleName, (roleNames.get(roleName) || 0) + 1);
+  });
+
+  elements.forEach(element => {
+    const candidates = element.locatorCandidates || [];
+    const domRole = candidates.find(candidate => candidate.strategy === 'role')?.role;
+    const matches = byBox.get(boxKey(element.rect)) || [];
+    const node = matches.find(match => match.role === domRole) ||
+      matches.find(match => !PRESENTATIONAL_ROLES.includes(match.role));
+    if (!node) return;
+
+    element.role = node.role;
+    element.accessibleName = node.name;
+    element.states = node.states;
+    element.landmarks = node.landmarks;
+    element.isClickable = element.isClickable || CLICKABLE_ROLES.includes(node.role);
+
+    if (node.name && !element.shadowHostCandidates?.length) {
+      element.locatorCandidates = [
+        ...candidates.filter(candidate => candidate.strategy !== 'role'),
+        { strategy: 'role', role: node.role, name: node.name, count: roleNames.get(`${node.role} ${node.name}`) }
+      ];
+    }
+  });
+
+  return elements;
+}
+
+/**
+ * Interactive elements, forms, landmarks and navigation links of a snapshot
+ */
+export function summarizeAccessibility(nodes, limit = 50) {
+  const elements = nodes.filter(node => INTERACTIVE_ROLES.includes(node.role));
+  return {
+    totalElements: elements.length,
+    elements: elements.slice(0, limit),
+    forms: nodes.filter(node => node.role === 'form').length,
+    landmarks: nodes.filter(node => LANDMARK_ROLES.includes(node.role)).map(describeNode),
+    navigation: elements
+      .filter(node => node.role === 'link' && node.landmarks.some(landmark => landmark.startsWith('navigation')))
+      .map(node => ({ name: node.name, url: node.url }))
+  };
+}
+
+/**
+ * `role "name"`, as the snapshot writes it
+ */
+export function describeNode(node) {
+  return node.name ? `${node.role} ${JSON.stringify(node.name)}` : node.role;
+}
+
+/**
+ * Split `key: value` - keys with special characters come single-quoted, values double-quoted
+ */
+function splitEntry(entry) {
+  let key = entry;
+  let rest = '';
+
+  if (entry.startsWith("'")) {
+    // A quote ends the key unless doubled
+    let end = 1;
+    while (end < entry.length && !(entry[end] === "'" && entry[end + 1] !== "'")) {
+      end += entry[end] === "'" ? 2 : 1;
+    }
+    key = entry.slice(1, end).replace(/''/g, "'");
+    rest = entry.slice(end + 1);
+  } else {
+    const colon = entry.search(/:(\s|$)/);
+    if (colon !== -1) {
+      key = entry.slice(0, colon);
+      rest = entry.slice(colon);
+    }
+  }
+
+  let value = rest.replace(/^:\s*/, '');
+  if (value.startsWith('"')) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      // Leave escapes JSON does not know (\x..) as they are
+    }
+  }
+  return { key, value };
+}
+
+/**
+ * `button "Save" [disabled] [box=10,20,80,32]` -> { role, name, states, box }
+ */
+function parseKey(key) {
+  const match = key.match(/^([a-z]+)(?: ("(?:[^"\\]|\\.)*"|\/.*\/))?((?: \[[^\]]*\])*)$/);
+  if (!match) return null;
+
+  const [, role, quotedName, attributes] = match;
+  let name = '';
+  if (quotedName) {
+    try {
+      name = quotedName.startsWith('"') ? JSON.parse(quotedName) : quotedName;
+    } catch {
+      name = quotedName.slice(1, -1);
+    }
+  }
+
+  const node = { role, name, states: {} };
+  for (const [, attribute, value] of attributes.matchAll(/\[([\w-]+)(?:=([^\]]*))?\]/g)) {
+    if (attribute === 'box') {
+      const [x, y, width, height] = value.split(',').map(Number);
+      node.box = { x, y, width, height };
+    } else if (attribute !== 'ref' && attribute !== 'cursor') {
+      node.states[attribute] = value === undefined ? true : (Number.isNaN(Number(value)) ? value : Number(value));
+    }
+  }
+  return node;
+}
+
+function boxKey(rect) {
+  return [rect.x, rect.y, rect.width, rect.height].map(Math.round).join(',');
+}
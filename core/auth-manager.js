@@ -7,10 +7,12 @@ import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { logger } from './logger.js';
 dotenv.config();
 
 export class AuthManager {
   constructor(config = {}) {
+    this.logger = config.logger || logger.child('auth');
     this.profilePath = config.profilePath || path.join(process.cwd(), 'credentials/profile.json');
     this.profile = null;
     this.otpRetries = 3;
@@ -66,19 +68,19 @@ export class AuthManager {
     await this.initializeProfile();
     
     const domain = new URL(url).hostname;
-    console.error(`🔐 Analyzing authentication for ${domain}...`);
+    this.logger.info(`🔐 Analyzing authentication for ${domain}...`);
 
     try {
       const loginStatus = await this.checkLoginStatus(page);
       if (loginStatus.loggedIn) {
-        console.error('✅ Already authenticated');
+        this.logger.info('✅ Already authenticated');
         return { success: true, action: 'already_logged_in', ...loginStatus };
       }
 
       const authForms = await this.detectAuthenticationForms(page);
       
       if (!authForms.hasAuth) {
-        console.error('ℹ️ No authentication required');
+        this.logger.info('ℹ️ No authentication required');
         return { success: true, action: 'no_auth_required' };
       }
 
@@ -87,12 +89,12 @@ export class AuthManager {
       } else if (authForms.hasEmailPassword) {
         return await this.handleEmailPasswordAuth(page, authForms);
       } else {
-        console.error('⚠️ Unsupported authentication method');
+        this.logger.warn('⚠️ Unsupported authentication method');
         return { success: false, error: 'Unsupported authentication method' };
       }
 
     } catch (error) {
-      console.error(`❌ Authentication failed: ${error.message}`);
+      this.logger.error(`❌ Authentication failed: ${error.message}`, { error });
       return { success: false, error: error.message };
     }
   }
@@ -147,7 +149,7 @@ export class AuthManager {
       await fs.mkdir(path.dirname(this.profilePath), { recursive: true });
       await fs.writeFile(this.profilePath, JSON.stringify(this.profile, null, 2));
     } catch (error) {
-      console.error(`❌ Failed to save profile: ${error.message}`);
+      this.logger.error(`❌ Failed to save profile: ${error.message}`, { error });
     }
   }
 }
@@ -0,0 +1,144 @@
+/**
+ * OpenWorldAgent - Browser Options
+ * Resolves the browser engine and context settings for a run and its generated package
+ */
+
+import { chromium, firefox, webkit } from 'playwright';
+
+export const BROWSER_ENGINES = { chromium, firefox, webkit };
+export const DEFAULT_BROWSER_ENGINE = 'chromium';
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+// Header values that are credentials: never persisted, read back from the environment
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key', 'proxy-authorization'];
+const CHROME_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Normalize pipeline options into browser settings
+ *
+ * Settings live under `options.browser`; a top-level `options.headless`
+ * is still honored. Without a display (headless Linux CI) the browser
+ * defaults to headless instead of failing to launch.
+ */
+export function resolveBrowserOptions(options = {}) {
+  const browser = options.browser || {};
+  const engine = browser.engine || DEFAULT_BROWSER_ENGINE;
+  if (!BROWSER_ENGINES[engine]) {
+    throw new Error(`Unknown browser engine: ${engine} (engines: ${Object.keys(BROWSER_ENGINES).join(', ')})`);
+  }
+
+  const viewport = { ...DEFAULT_VIEWPORT, ...browser.viewport };
+  if (!(viewport.width > 0 && viewport.height > 0)) {
+    throw new Error(`Invalid viewport: ${viewport.width}x${viewport.height}`);
+  }
+
+  const configured = typeof browser.proxy === 'string' ? { server: browser.proxy } : browser.proxy;
+  const proxy = configured?.server && !configured.username && process.env.PROXY_USERNAME
+    ? { ...configured, username: process.env.PROXY_USERNAME, password: process.env.PROXY_PASSWORD }
+    : configured;
+
+  return {
+    engine,
+    headless: browser.headless ?? options.headless ?? (process.platform === 'linux' && !process.env.DISPLAY),
+    viewport,
+    deviceScaleFactor: browser.deviceScaleFactor,
+    locale: browser.locale,
+    timezoneId: browser.timezoneId,
+    proxy: proxy?.server ? proxy : undefined,
+    extraHTTPHeaders: withSecretHeaders(browser.extraHTTPHeaders, browser.secretHeaders, process.env),
+    secretHeaders: browser.secretHeaders,
+    // Chromium keeps the desktop Chrome user agent; other engines use their own
+    userAgent: browser.userAgent || (engine === 'chromium' ? CHROME_USER_AGENT : undefined)
+  };
+}
+
+/**
+ * Options for `browserType.launch()`
+ */
+export function launchOptions(settings) {
+  return {
+    headless: settings.headless,
+    proxy: settings.proxy,
+    args: settings.engine === 'chromium'
+      ? ['--disable-blink-features=AutomationControlled', '--no-first-run', '--disable-background-timer-throttling']
+      : []
+  };
+}
+
+/**
+ * Options for `browser.newContext()` / `browser.newPage()`
+ */
+export function contextOptions(settings) {
+  const { viewport, deviceScaleFactor, locale, timezoneId, extraHTTPHeaders, userAgent } = settings;
+  return Object.fromEntries(
+    Object.entries({ viewport, deviceScaleFactor, locale, timezoneId, extraHTTPHeaders, userAgent })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Settings safe to persist - in run records, jobs and generated packages
+ *
+ * Proxy credentials (fields or `user:pass@` in the URL) and the values of
+ * credential headers are left out; `secretHeaders` names the dropped headers
+ * so a replay or generated server can read them from the environment (see
+ * headerEnvVar). Works on raw `options.browser` and on resolved settings.
+ */
+export function recordableBrowserOptions(settings) {
+  const recorded = JSON.parse(JSON.stringify(settings));
+  if (typeof recorded.proxy === 'string') {
+    recorded.proxy = stripUserInfo(recorded.proxy);
+  } else if (recorded.proxy) {
+    delete recorded.proxy.username;
+    delete recorded.proxy.password;
+    recorded.proxy.server = stripUserInfo(recorded.proxy.server);
+  }
+
+  const secretHeaders = Object.keys(recorded.extraHTTPHeaders || {})
+    .filter(name => SECRET_HEADERS.includes(name.toLowerCase()));
+  if (secretHeaders.length > 0) {
+    secretHeaders.forEach(name => delete recorded.extraHTTPHeaders[name]);
+    recorded.secretHeaders = [...new Set([...(recorded.secretHeaders || []), ...secretHeaders])];
+  }
+  return recorded;
+}
+
+/**
+ * Pipeline options with their browser settings made safe to persist
+ */
+export function recordableOptions(options = {}) {
+  return options.browser ? { ...options, browser: recordableBrowserOptions(options.browser) } : options;
+}
+
+/**
+ * Headers with the values of `secretHeaders` filled in from the environment
+ */
+export function withSecretHeaders(headers, secretHeaders = [], env = process.env) {
+  const filled = { ...headers };
+  for (const name of secretHeaders) {
+    if (filled[name] === undefined && env[headerEnvVar(name)] !== undefined) {
+      filled[name] = env[headerEnvVar(name)];
+    }
+  }
+  return Object.keys(filled).length > 0 ? filled : undefined;
+}
+
+// Also embedded verbatim in generated servers, so it must stay self-contained.
+
+/**
+ * Environment variable holding a secret header's value - `Authorization` is `HEADER_AUTHORIZATION`
+ */
+export function headerEnvVar(name) {
+  return `HEADER_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+function stripUserInfo(server) {
+  try {
+    const url = new URL(server);
+    url.username = '';
+    url.password = '';
+    return server.includes('://') ? url.href.replace(/\/$/, '') : server;
+  } catch {
+    return server;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * OpenWorldAgent - Browser Pool
+ * Shares launched browsers between runs, each in its own context, under a concurrency limit
+ */
+
+import { BROWSER_ENGINES, launchOptions } from './browser-options.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_IDLE_TIMEOUT = 30000;
+
+export class BrowserPool {
+  constructor(config = {}) {
+    this.maxConcurrency = config.maxConcurrency || Number(process.env.OWA_MAX_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.idleTimeout = config.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+    this.launch = config.launch || ((settings) => BROWSER_ENGINES[settings.engine].launch(launchOptions(settings)));
+    this.browsers = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Wait for a free slot and return a lease on it
+   *
+   * Requests beyond `maxConcurrency` queue in arrival order;
+   * `options.onQueued(position)` is told when a request has to wait and
+   * aborting `options.signal` gives up the place in the queue.
+   */
+  async acquire(options = {}) {
+    const { signal, onQueued } = options;
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+    if (signal?.aborted) {
+      throw new Error('Pipeline cancelled');
+    }
+
+    if (this.active < this.maxConcurrency && this.queue.length === 0) {
+      this.active++;
+      return new BrowserLease(this);
+    }
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(new Error('Pipeline cancelled'));
+        }
+      };
+      // A long-lived signal must not keep a listener for every waiter it ever queued
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const waiter = { resolve: settle(resolve), reject: settle(reject) };
+      this.queue.push(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      onQueued?.(this.queue.length);
+    });
+    return new BrowserLease(this);
+  }
+
+  /**
+   * Hand a released slot to the next queued request
+   */
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * A running browser for these launch settings, launched on first use
+   *
+   * Runs with the same engine, headless mode and proxy share one browser.
+   */
+  async checkoutBrowser(settings) {
+    const key = JSON.stringify({ engine: settings.engine, ...launchOptions(settings) });
+    let entry = this.browsers.get(key);
+
+    if (!entry) {
+      entry = { users: 0, idleTimer: null, browser: this.launch(settings) };
+      this.browsers.set(key, entry);
+      entry.browser.then(
+        browser => browser.on?.('disconnected', () => {
+          if (this.browsers.get(key) === entry) this.browsers.delete(key);
+        }),
+        () => this.browsers.delete(key)
+      );
+    }
+
+    clearTimeout(entry.idleTimer);
+    entry.users++;
+    try {
+      return { key, browser: await entry.browser };
+    } catch (error) {
+      entry.users--;
+      throw error;
+    }
+  }
+
+  /**
+   * Stop using a browser - it closes once idle for `idleTimeout`
+   */
+  checkinBrowser(key) {
+    const entry = this.browsers.get(key);
+    if (!entry || --entry.users > 0) return;
+
+    const close = () => {
+      if (this.browsers.get(key) !== entry || entry.users > 0) return;
+      this.browsers.delete(key);
+      entry.browser.then(browser => browser.close()).catch(() => {});
+    };
+
+    if (this.idleTimeout === 0) {
+      close();
+    } else {
+      entry.idleTimer = setTimeout(close, this.idleTimeout);
+      entry.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Reject queued requests and close every browser
+   */
+  async close() {
+    this.closed = true;
+    this.queue.splice(0).forEach(waiter => waiter.reject(new Error('Browser pool is closed')));
+
+    const entries = [...this.browsers.values()];
+    this.browsers.clear();
+    await Promise.all(entries.map(async entry => {
+      clearTimeout(entry.idleTimer);
+      const browser = await entry.browser.catch(() => null);
+      await browser?.close().catch(() => {});
+    }));
+  }
+
+  stats() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      active: this.active,
+      queued: this.queue.length,
+      browsers: this.browsers.size
+    };
+  }
+}
+
+/**
+ * One run's slot in the pool and the browser context it works in
+ */
+export class BrowserLease {
+  constructor(pool) {
+    this.pool = pool;
+    this.browser = null;
+    this.context = null;
+    this.browserKey = null;
+    this.released = false;
+  }
+
+  /**
+   * Open a page in a fresh context, closing the lease's previous one
+   */
+  async newPage(settings, contextOptions = {}) {
+    if (this.released) {
+      throw new Error('Browser lease was released');
+    }
+    await this.closeContext();
+
+    const { key, browser } = await this.pool.checkoutBrowser(settings);
+    this.browserKey = key;
+    this.browser = browser;
+    this.context = await browser.newContext(contextOptions);
+    return this.context.newPage();
+  }
+
+  /**
+   * Close the context (flushing a recorded HAR) and let go of its browser
+   */
+  async closeContext() {
+    const { context, browserKey } = this;
+    this.context = null;
+    this.browser = null;
+    this.browserKey = null;
+
+    await context?.close().catch(() => {});
+    if (browserKey) {
+      this.pool.checkinBrowser(browserKey);
+    }
+  }
+
+  /**
+   * Clean up the run's context and free its slot for the next run
+   */
+  async release() {
+    if (this.released) return;
+    this.released = true;
+    await this.closeContext();
+    this.pool.releaseSlot();
+  }
+}
@@ -7,12 +7,15 @@ import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
 import dotenv from 'dotenv';
+import { logger } from './logger.js';
 dotenv.config();
 
 export class ConfigUpdater {
   constructor(config = {}) {
+    this.logger = config.logger || logger.child('config');
     this.configPath = config.configPath || process.env.CLAUDE_CONFIG_PATH ||
       path.join(os.homedir(), 'Library/Application Support/Claude/claude_desktop_config.json');
+    this.queue = Promise.resolve();
   }
 
   /**
@@ -20,11 +23,8 @@ export class ConfigUpdater {
    */
   async addToClaudeDesktop(siteName, packageResult) {
     try {
-      console.error('🔧 Updating Claude Desktop config...');
+      this.logger.info('🔧 Updating Claude Desktop config...');
 
-      // Read current config
-      const currentConfig = await this.readCurrentConfig();
-      
       // Add new MCP server
       const newServerConfig = {
         command: 'node',
@@ -32,13 +32,13 @@ export class ConfigUpdater {
         env: {}
       };
 
-      currentConfig.mcpServers = currentConfig.mcpServers || {};
-      currentConfig.mcpServers[`${siteName}-automation`] = newServerConfig;
-
-      // Write updated config using AppleScript
-      await this.writeConfigViaAppleScript(currentConfig);
+      await this.updateConfig(currentConfig => {
+        currentConfig.mcpServers = currentConfig.mcpServers || {};
+        currentConfig.mcpServers[`${siteName}-automation`] = newServerConfig;
+        return true;
+      });
 
-      console.error(`✅ Added ${siteName}-automation to Claude Desktop config`);
+      this.logger.info(`✅ Added ${siteName}-automation to Claude Desktop config`);
 
       return {
         success: true,
@@ -48,11 +48,62 @@ export class ConfigUpdater {
       };
 
     } catch (error) {
-      console.error(`❌ Config update failed: ${error.message}`);
+      this.logger.error(`❌ Config update failed: ${error.message}`, { error });
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Remove a generated package from Claude Desktop config
+   */
+  async removeFromClaudeDesktop(siteName) {
+    const serverName = `${siteName}-automation`;
+
+    try {
+      const removed = await this.updateConfig(currentConfig => {
+        if (!currentConfig.mcpServers?.[serverName]) return false;
+        delete currentConfig.mcpServers[serverName];
+        return true;
+      });
+      if (!removed) {
+        return { success: false, serverName, error: `${serverName} is not in the Claude Desktop config` };
+      }
+
+      this.logger.info(`✅ Removed ${serverName} from Claude Desktop config`);
+
+      return {
+        success: true,
+        serverName,
+        configPath: this.configPath,
+        requiresRestart: true
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Config update failed: ${error.message}`, { error });
+      return { success: false, serverName, error: error.message };
+    }
+  }
+
+  /**
+   * Read, change and write the config, one update at a time
+   *
+   * Concurrent deployments share the updater; `mutate` returns false to
+   * leave the file untouched.
+   */
+  updateConfig(mutate) {
+    const update = this.queue.then(async () => {
+      const currentConfig = await this.readCurrentConfig();
+      const changed = mutate(currentConfig);
+      if (changed) {
+        // Write updated config using AppleScript
+        await this.writeConfigViaAppleScript(currentConfig);
+      }
+      return changed;
+    });
+    this.queue = update.catch(() => {});
+    return update;
+  }
+
   /**
    * Read current Claude Desktop config
    */
@@ -74,9 +125,9 @@ export class ConfigUpdater {
     // For now, we'll use direct file writing
     try {
       await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
-      console.error('✅ Config updated successfully');
+      this.logger.info('✅ Config updated successfully');
     } catch (error) {
-      console.error(`❌ Failed to write config: ${error.message}`);
+      this.logger.error(`❌ Failed to write config: ${error.message}`, { error });
       throw error;
     }
   }
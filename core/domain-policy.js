@@ -0,0 +1,195 @@
+/**
+ * OpenWorldAgent - Domain Policy
+ * Decides where the generator and generated servers may go and what they may do
+ */
+
+import { fetchRobotsTxt, isPathAllowed } from './robots.js';
+
+export const DEFAULT_FORBIDDEN_ACTIONS = [
+  'purchase',
+  'buy now',
+  'place order',
+  'pay now',
+  'checkout',
+  'delete account',
+  'close account',
+  'deactivate account',
+  'transfer funds',
+  'send money',
+  'wire transfer'
+];
+
+const DEFAULT_MAX_REQUESTS_PER_SECOND = 2;
+
+export class PolicyViolationError extends Error {
+  constructor(violation) {
+    super(`Policy violation (${violation.rule}): ${violation.reason}`);
+    this.name = 'PolicyViolationError';
+    this.violation = violation;
+  }
+}
+
+export class DomainPolicy {
+  constructor(config = {}) {
+    this.allowedDomains = config.allowedDomains || [];
+    this.blockedDomains = config.blockedDomains || [];
+    this.robots = config.robots !== false;
+    this.maxRequestsPerSecond = config.maxRequestsPerSecond ?? DEFAULT_MAX_REQUESTS_PER_SECOND;
+    this.forbiddenActions = config.forbiddenActions || DEFAULT_FORBIDDEN_ACTIONS;
+    this.userAgent = config.userAgent || '*';
+    this.fetch = config.fetch;
+    this.violations = [];
+    this.robotsCache = new Map();
+    this.schedule = new Map();
+
+    if (!(this.maxRequestsPerSecond >= 0)) {
+      throw new Error(`Invalid maxRequestsPerSecond: ${this.maxRequestsPerSecond}`);
+    }
+  }
+
+  /**
+   * Violation for visiting a URL - its domain or a forbidden action in its path - or null
+   */
+  checkUrl(url) {
+    return evaluateUrl(url, this.rules());
+  }
+
+  /**
+   * Violation for an action described by `text` (a tool name, button label...), or null
+   */
+  checkAction(text, target = text) {
+    const keyword = findForbiddenAction(text, this.forbiddenActions);
+    return keyword && { rule: 'forbidden-action', target, reason: `"${keyword}" actions are forbidden` };
+  }
+
+  /**
+   * robots.txt rules of a URL's origin, fetched once, or null when robots.txt is not honored
+   */
+  async robotsRules(url) {
+    if (!this.robots) return null;
+
+    const { origin } = new URL(url);
+    if (!this.robotsCache.has(origin)) {
+      this.robotsCache.set(origin, fetchRobotsTxt(origin, { fetch: this.fetch, userAgent: this.userAgent }));
+    }
+    return this.robotsCache.get(origin);
+  }
+
+  /**
+   * Violation for a URL disallowed by its origin's robots.txt, or null
+   */
+  async checkRobots(url) {
+    const rules = await this.robotsRules(url);
+    if (!rules) return null;
+
+    const { pathname, search } = new URL(url);
+    return isPathAllowed(rules, pathname + search)
+      ? null
+      : { rule: 'robots', target: url, reason: `${pathname} is disallowed by robots.txt` };
+  }
+
+  /**
+   * Block a navigation the policy forbids, then wait for the host's rate limit
+   */
+  async enforceNavigation(url, fields = {}) {
+    const violation = this.checkUrl(url) || await this.checkRobots(url);
+    if (violation) {
+      throw this.block(violation, fields);
+    }
+    await this.throttle(url);
+  }
+
+  /**
+   * Record a violation and return the error that blocks it
+   */
+  block(violation, fields = {}) {
+    return new PolicyViolationError(this.record(violation, fields));
+  }
+
+  record(violation, fields = {}) {
+    const entry = { ...violation, ...fields };
+    this.violations.push(entry);
+    return entry;
+  }
+
+  /**
+   * Wait until another request to the URL's host fits the rate limit
+   */
+  async throttle(url) {
+    const wait = reserveRequest(this.schedule, new URL(url).host, this.maxRequestsPerSecond, Date.now());
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Rules a generated server enforces at runtime
+   */
+  rules() {
+    return {
+      allowedDomains: this.allowedDomains,
+      blockedDomains: this.blockedDomains,
+      robots: this.robots,
+      userAgent: this.userAgent,
+      maxRequestsPerSecond: this.maxRequestsPerSecond,
+      forbiddenActions: this.forbiddenActions
+    };
+  }
+}
+
+// The functions below are also embedded verbatim in generated servers, so
+// they must stay self-contained.
+
+/**
+ * Does a host belong to a domain pattern? `example.com` and `*.example.com` both match subdomains.
+ */
+export function matchesDomain(host, pattern) {
+  const domain = pattern.toLowerCase().replace(/^\*\./, '');
+  const hostname = host.toLowerCase();
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * First forbidden keyword in a text, compared word by word: "deleteAccount",
+ * "/delete-account" and "Delete account" all match "delete account"
+ */
+export function findForbiddenAction(text, keywords) {
+  const normalize = (value) => ` ${String(value || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()} `;
+  const words = normalize(text);
+  return keywords.find(keyword => words.includes(normalize(keyword))) || null;
+}
+
+/**
+ * Violation of the domain and action rules for a URL, or null
+ */
+export function evaluateUrl(url, rules) {
+  const { protocol, hostname, pathname } = new URL(url);
+  if (!['http:', 'https:'].includes(protocol)) {
+    return null;
+  }
+
+  if (rules.blockedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    return { rule: 'blocked-domain', target: url, reason: `${hostname} is a blocked domain` };
+  }
+  if (rules.allowedDomains.length > 0 && !rules.allowedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    return { rule: 'domain-not-allowed', target: url, reason: `${hostname} is not an allowed domain` };
+  }
+
+  const keyword = findForbiddenAction(pathname, rules.forbiddenActions);
+  return keyword && { rule: 'forbidden-action', target: url, reason: `"${keyword}" actions are forbidden` };
+}
+
+/**
+ * Reserve the next request slot for a host and return how long to wait for it
+ */
+export function reserveRequest(schedule, host, maxRequestsPerSecond, now) {
+  if (!maxRequestsPerSecond) return 0;
+
+  const next = Math.max(now, schedule.get(host) || 0);
+  schedule.set(host, next + 1000 / maxRequestsPerSecond);
+  return next - now;
+}
@@ -0,0 +1,132 @@
+/**
+ * OpenWorldAgent - HTTP Transport
+ * Serves MCP over HTTP + SSE so several clients can share one generator
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+export class HttpTransportServer {
+  constructor(config = {}) {
+    this.host = config.host || '127.0.0.1';
+    this.port = config.port ?? 3333;
+    this.token = config.token || null;
+    this.createServer = config.createServer;
+    this.sessions = new Map();
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening - refuses to expose an unauthenticated server beyond loopback
+   */
+  async start() {
+    if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+      throw new Error(`A bearer token (OWA_HTTP_TOKEN) is required to listen on ${this.host}`);
+    }
+    if (!this.token) {
+      console.error('⚠️ HTTP transport running without a bearer token (loopback only)');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(`❌ HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: error.message });
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+
+    // Pick up the real port when listening on port 0
+    this.port = this.httpServer.address().port;
+    return this;
+  }
+
+  /**
+   * Route GET /sse (open session), POST /messages (client messages) and GET /health
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return this.sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      return this.openSession(res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const session = this.sessions.get(url.searchParams.get('sessionId'));
+      if (!session) {
+        return this.sendJson(res, 404, { error: 'Unknown or expired session' });
+      }
+      return session.transport.handlePostMessage(req, res);
+    }
+
+    return this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Start an SSE stream backed by its own MCP server instance
+   */
+  async openSession(res) {
+    const transport = new SSEServerTransport('/messages', res);
+    const server = this.createServer();
+    const sessionId = transport.sessionId;
+
+    this.sessions.set(sessionId, { transport, server, openedAt: new Date().toISOString() });
+    server.onclose = () => {
+      this.sessions.delete(sessionId);
+      console.error(`🔌 HTTP session closed: ${sessionId}`);
+    };
+
+    await server.connect(transport);
+    console.error(`🔌 HTTP session opened: ${sessionId}`);
+  }
+
+  /**
+   * Check the `Authorization: Bearer <token>` header in constant time
+   */
+  isAuthorized(req) {
+    if (!this.token) return true;
+
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    const actual = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Close every session and stop accepting connections
+   */
+  async close() {
+    if (!this.httpServer) return;
+
+    await Promise.all(Array.from(this.sessions.values()).map(session => session.server.close()));
+    this.sessions.clear();
+
+    await new Promise(resolve => this.httpServer.close(() => resolve()));
+    this.httpServer = null;
+  }
+}
@@ -3,8 +3,17 @@
  * Maps interface elements to actionable automation tools
  */
 
+import { collectLocatorCandidates, looksGenerated, rankLocators, bestSelector, describeLocator } from './locators.js';
+import { takeAriaSnapshot, parseAriaSnapshot, mergeAccessibility, FIELD_ROLES } from './accessibility.js';
+import { logger } from './logger.js';
+
+// The in-page functions are serialized into each frame, like page.evaluate does with a callback
+const ELEMENT_MAP_EXPRESSION = `(${collectElementMap})(${collectLocatorCandidates}, ${looksGenerated})`;
+const LOCATOR_COLLECTOR_EXPRESSION = `(element) => (${collectLocatorCandidates})(element, ${looksGenerated})`;
+
 export class InterfaceMapper {
-  constructor() {
+  constructor(config = {}) {
+    this.logger = config.logger || logger.child('mapping');
     this.elementTypes = {
       button: 'clickable',
       input: 'fillable', 
@@ -16,83 +25,118 @@ export class InterfaceMapper {
   }
 
   /**
-   * Map all interactive elements on the page
+   * Map all interactive elements on the page, its open shadow roots and its frames
+   *
+   * Elements in iframes carry the `framePath` of iframe selectors leading to
+   * them; elements in shadow DOM carry the `shadowHosts` selectors of their
+   * hosts, outermost first. Both are empty for the top document. Elements
+   * found in the accessibility tree also carry their computed `role`,
+   * `accessibleName`, `states` and `landmarks`.
    */
   async mapElements(page) {
     try {
-      const elementMap = await page.evaluate(() => {
-        const generateOptimalSelector = (el) => {
-          if (el.id) return `#${el.id}`;
-          if (el.className) {
-            const cls = el.className.trim().split(/\s+/).join('.');
-            return `${el.tagName.toLowerCase()}.${cls}`;
-          }
-          return el.tagName.toLowerCase();
-        };
-
-        const mapForms = () => Array.from(document.forms).length;
-
-        const mapNavigation = () => Array.from(document.querySelectorAll('a[href]')).map(a => a.href);
-
-        const identifyPrimaryActions = (els) => els.filter(e => e.isClickable).slice(0, 5).map(e => e.text);
-
-        const elements = [];
-        const elementId = (element, index) =>
-          element.id || element.className.split(' ')[0] || `element_${index}`;
-
-        const interactiveElements = document.querySelectorAll([
-          'button', 'input', 'textarea', 'select', 'a[href]',
-          '[role="button"]', '[onclick]', '[tabindex]'
-        ].join(','));
-
-        interactiveElements.forEach((element, index) => {
-          const rect = element.getBoundingClientRect();
-          if (rect.width > 0 && rect.height > 0) {
-            const elData = {
-              id: elementId(element, index),
-              tag: element.tagName.toLowerCase(),
-              type: element.type || 'unknown',
-              text: element.textContent?.trim().substring(0, 100) || '',
-              placeholder: element.placeholder || '',
-              value: element.value || '',
-              href: element.href || '',
-              rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
-              attributes: {
-                id: element.id,
-                className: element.className,
-                name: element.name,
-                role: element.getAttribute('role'),
-                ariaLabel: element.getAttribute('aria-label'),
-                dataTestId: element.getAttribute('data-testid')
-              },
-              parent: element.parentElement?.tagName?.toLowerCase(),
-              isVisible: !element.hidden && rect.width > 0 && rect.height > 0,
-              isClickable: ['button', 'a'].includes(element.tagName.toLowerCase()) ||
-                          element.onclick || element.getAttribute('role') === 'button'
-            };
-            elData.selector = generateOptimalSelector(element);
-            elements.push(elData);
-          }
-        });
-
-        return {
-          elements,
-          totalElements: elements.length,
-          forms: mapForms(),
-          navigation: mapNavigation(),
-          primaryActions: identifyPrimaryActions(elements)
-        };
+      const elementMap = await this.mapFrame(page);
+      elementMap.elements.forEach(element => {
+        element.framePath = [];
       });
 
+      const mainFrame = page.mainFrame?.();
+      for (const frame of page.frames?.() || []) {
+        if (frame === mainFrame || frame.isDetached()) continue;
+        try {
+          const framePath = await this.framePath(frame);
+          const frameMap = await this.mapFrame(frame);
+          const { origin, pathname } = new URL(frame.url());
+          frameMap.elements.forEach(element => {
+            elementMap.elements.push({ ...element, framePath, frameUrl: origin + pathname });
+          });
+          elementMap.forms += frameMap.forms;
+        } catch (error) {
+          this.logger.warn(`⚠️ Skipped frame ${frame.url()}: ${error.message}`, { frame: frame.url() });
+        }
+      }
+      elementMap.totalElements = elementMap.elements.length;
+      elementMap.frames = new Set(elementMap.elements.map(element => element.frameUrl).filter(Boolean)).size;
+      elementMap.navigation = await this.mapNavigation(page);
+
       // Categorize elements by functionality
       return this.categorizeElements(elementMap);
 
     } catch (error) {
-      console.error(`❌ Interface mapping failed: ${error.message}`);
+      this.logger.error(`❌ Interface mapping failed: ${error.message}`, { error });
       return { elements: [], categories: {} };
     }
   }
 
+  /**
+   * Elements of one page or frame, merged with its accessibility tree
+   *
+   * Without an accessibility snapshot the elements keep their DOM data only.
+   */
+  async mapFrame(frame) {
+    const elementMap = await frame.evaluate(ELEMENT_MAP_EXPRESSION);
+    const snapshot = await takeAriaSnapshot(frame);
+    if (snapshot === null) {
+      this.logger.warn(`⚠️ No accessibility snapshot for ${frame.url()}, using DOM attributes only`, { frame: frame.url() });
+    } else {
+      mergeAccessibility(elementMap.elements, parseAriaSnapshot(snapshot));
+    }
+    return this.rankElementLocators(elementMap);
+  }
+
+  /**
+   * Replace the candidates collected in the page with ranked locators
+   */
+  rankElementLocators(elementMap) {
+    elementMap.elements.forEach(element => {
+      element.locators = rankLocators(element.locatorCandidates);
+      element.locator = element.locators[0];
+      element.selector = bestSelector(element.locators) || element.tag;
+      element.shadowHosts = (element.shadowHostCandidates || []).map(candidates => bestSelector(rankLocators(candidates)));
+      const submit = element.field?.group?.submit;
+      if (submit?.locatorCandidates) {
+        submit.locators = rankLocators(submit.locatorCandidates);
+        delete submit.locatorCandidates;
+      }
+      delete element.locatorCandidates;
+      delete element.shadowHostCandidates;
+    });
+    return elementMap;
+  }
+
+  /**
+   * Selectors of the iframes leading from the top document to a frame
+   */
+  async framePath(frame) {
+    const path = [];
+    for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+      // A string only evaluates to the collector, so call it through a handle with the iframe element
+      const iframe = await current.frameElement();
+      const collect = await current.parentFrame().evaluateHandle(LOCATOR_COLLECTOR_EXPRESSION);
+      try {
+        const candidates = await collect.evaluate((collect, element) => collect(element), iframe);
+        const selector = bestSelector(rankLocators(candidates));
+        if (!selector) {
+          throw new Error('no selector for its iframe');
+        }
+        path.unshift(selector);
+      } finally {
+        await Promise.all([iframe.dispose(), collect.dispose()]);
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Absolute URLs of every link on the page, in document order without duplicates
+   */
+  async mapNavigation(page) {
+    const hrefs = await page.evaluate(() =>
+      Array.from(document.querySelectorAll('a[href]')).map(a => a.href)
+    );
+    return [...new Set(hrefs)];
+  }
+
   /**
    * Categorize elements by their automation potential
    */
@@ -140,7 +184,7 @@ export class InterfaceMapper {
    */
   isAuthElement(element) {
     const authKeywords = ['login', 'signin', 'signup', 'password', 'email', 'register', 'auth'];
-    const text = (element.text + element.placeholder + element.attributes.id + element.attributes.className).toLowerCase();
+    const text = (this.elementName(element) + element.placeholder + element.attributes.id + element.attributes.className).toLowerCase();
     return authKeywords.some(keyword => text.includes(keyword)) || element.type === 'password';
   }
 
@@ -149,15 +193,18 @@ export class InterfaceMapper {
    */
   isNavigationElement(element) {
     const navKeywords = ['home', 'about', 'contact', 'menu', 'nav', 'link'];
-    const text = (element.text + element.href + element.attributes.className).toLowerCase();
-    return element.tag === 'a' || navKeywords.some(keyword => text.includes(keyword));
+    const text = (this.elementName(element) + element.href + element.attributes.className).toLowerCase();
+    return element.tag === 'a' || element.role === 'link' || navKeywords.some(keyword => text.includes(keyword));
   }
 
   /**
    * Check if element is form-related
    */
   isFormElement(element) {
-    return ['input', 'textarea', 'select'].includes(element.tag) && !this.isAuthElement(element);
+    const isField = element.role
+      ? FIELD_ROLES.includes(element.role)
+      : ['input', 'textarea', 'select'].includes(element.tag);
+    return isField && !this.isAuthElement(element);
   }
 
   /**
@@ -165,8 +212,43 @@ export class InterfaceMapper {
    */
   isActionElement(element) {
     const actionKeywords = ['create', 'generate', 'submit', 'send', 'save', 'delete', 'edit', 'update'];
-    const text = (element.text + element.attributes.ariaLabel).toLowerCase();
-    return element.tag === 'button' || actionKeywords.some(keyword => text.includes(keyword));
+    const text = this.elementName(element).toLowerCase();
+    return element.tag === 'button' || element.role === 'button' || actionKeywords.some(keyword => text.includes(keyword));
+  }
+
+  /**
+   * What assistive technology calls the element, falling back to its text
+   */
+  elementName(element) {
+    return element.accessibleName || element.text || '';
+  }
+
+  /**
+   * Compact view of a categorized map for reports - drops rects and raw attributes
+   */
+  summarizeCategories(interfaceMap) {
+    const summary = {};
+
+    Object.entries(interfaceMap.categories || {}).forEach(([category, elements]) => {
+      summary[category] = elements.map(element => ({
+        tag: element.tag,
+        type: element.type,
+        text: element.text,
+        role: element.role,
+        name: element.accessibleName,
+        states: element.states && Object.keys(element.states).length ? element.states : undefined,
+        landmarks: element.landmarks?.length ? element.landmarks : undefined,
+        placeholder: element.placeholder || undefined,
+        href: element.href || undefined,
+        selector: element.selector,
+        locators: element.locators?.map(describeLocator),
+        framePath: element.framePath?.length ? element.framePath : undefined,
+        shadowHosts: element.shadowHosts?.length ? element.shadowHosts : undefined,
+        toggle: element.toggle || undefined
+      }));
+    });
+
+    return summary;
   }
 
   /**
@@ -484,3 +566,176 @@ export class ToolGenerator {
     return schema;
   }
 }
+
+/**
+ * Interactive elements of the current document and its open shadow roots,
+ * with their locator candidates
+ *
+ * Runs inside the page, so it only uses its arguments and browser globals.
+ */
+function collectElementMap(collectLocatorCandidates, looksGenerated) {
+  const identifyPrimaryActions = (els) => els.filter(e => e.isClickable).slice(0, 5).map(e => e.text);
+
+  const elements = [];
+  const locatorCache = {};
+  const elementId = (element, index) =>
+    element.id || element.className.split(' ')[0] || `element_${index}`;
+
+  // Each root with the shadow hosts enclosing it, outermost first
+  const roots = [];
+  const collectRoots = (root, hosts) => {
+    roots.push({ root, hosts });
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) collectRoots(el.shadowRoot, [...hosts, el]);
+    });
+  };
+  collectRoots(document, []);
+
+  const interactiveSelector = [
+    'button', 'input', 'textarea', 'select', 'a[href]', 'summary',
+    '[role="button"]', '[role="tab"]', '[aria-expanded]', '[aria-haspopup]', '[onclick]', '[tabindex]'
+  ].join(',');
+
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+  // Forms, and fieldsets and dialogs outside any form, each with its submit button
+  const groups = new Map();
+  const isSubmit = (el) =>
+    (el.tagName === 'BUTTON' && (el.getAttribute('type') || 'submit').toLowerCase() === 'submit') ||
+    (el.tagName === 'INPUT' && ['submit', 'image'].includes(el.type));
+  const findSubmit = (container, kind) => {
+    const controls = container.tagName === 'FORM'
+      ? Array.from(container.elements)
+      : Array.from(container.querySelectorAll('button, input, [role="button"]'));
+    return controls.find(isSubmit) || (kind === 'form' ? null : controls
+      .filter(el => el.tagName !== 'INPUT' || ['button', 'submit', 'image'].includes(el.type))
+      .filter(el => !/^(cancel|close|dismiss|back)\b/i.test(normalize(el.textContent || el.value)))
+      .at(-1));
+  };
+  const groupOf = (container) => {
+    if (!groups.has(container)) {
+      const role = container.getAttribute('role');
+      const kind = container.tagName === 'FORM' || role === 'form' ? 'form'
+        : container.tagName === 'FIELDSET' ? 'fieldset'
+        : 'dialog';
+      const labelledBy = (container.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+        .map(id => container.getRootNode().getElementById(id)?.textContent || '').join(' ');
+      const heading = container.querySelector(kind === 'fieldset' ? 'legend' : 'legend, h1, h2, h3, h4, [role="heading"]');
+      const submit = findSubmit(container, kind);
+      groups.set(container, {
+        id: `form_${groups.size + 1}`,
+        kind,
+        name: normalize(labelledBy || container.getAttribute('aria-label') || heading?.textContent ||
+          container.getAttribute('name') || container.id),
+        action: container.tagName === 'FORM' ? container.getAttribute('action') || '' : undefined,
+        method: container.tagName === 'FORM' ? (container.getAttribute('method') || 'get').toLowerCase() : undefined,
+        submit: submit && {
+          text: normalize(submit.textContent || submit.value || submit.getAttribute('aria-label')),
+          locatorCandidates: collectLocatorCandidates(submit, looksGenerated, locatorCache)
+        }
+      });
+    }
+    return groups.get(container);
+  };
+
+  // Form control details for schema inference, or null for non-fields
+  const fieldOf = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (!['input', 'select', 'textarea'].includes(tag)) return null;
+    const type = tag === 'input' ? (element.getAttribute('type') || 'text').toLowerCase() : tag;
+    if (['submit', 'button', 'reset', 'image', 'hidden', 'file'].includes(type)) return null;
+
+    const container = element.form ||
+      element.closest('fieldset, dialog, [role="dialog"], [role="alertdialog"], [role="form"]');
+    const attribute = (name) => element.getAttribute(name) ?? undefined;
+    const number = (name) => element.hasAttribute(name) ? Number(element.getAttribute(name)) : undefined;
+    // Defaults come from the markup, not from what has been typed or picked since
+    const options = tag === 'select' ? Array.from(element.options) : [];
+    let value = element.defaultValue;
+    if (type === 'password') value = '';
+    else if (['checkbox', 'radio'].includes(type)) value = element.value;
+    else if (tag === 'select') value = options.find(option => option.defaultSelected)?.value || '';
+    return {
+      group: container ? groupOf(container) : null,
+      section: element.form ? normalize(element.closest('fieldset')?.querySelector('legend')?.textContent) : '',
+      name: attribute('name') || '',
+      type,
+      label: normalize(Array.from(element.labels || [], label => label.textContent).join(' ')) ||
+        normalize(element.getAttribute('aria-label')),
+      required: element.required,
+      minLength: number('minlength'),
+      maxLength: number('maxlength'),
+      pattern: attribute('pattern'),
+      min: attribute('min'),
+      max: attribute('max'),
+      step: attribute('step'),
+      value,
+      checked: element.defaultChecked,
+      multiple: element.multiple,
+      options: tag === 'select'
+        ? options.map(option => ({
+            value: option.value,
+            label: normalize(option.textContent),
+            selected: option.defaultSelected,
+            disabled: option.disabled
+          }))
+        : undefined
+    };
+  };
+
+  // Controls that reveal content - tabs, <summary>, popup triggers and disclosures - and whether they already do
+  const toggleOf = (element) => {
+    const popup = element.getAttribute('aria-haspopup');
+    const expanded = element.getAttribute('aria-expanded');
+    if (element.tagName === 'SUMMARY') return { kind: 'details', open: !!element.parentElement?.open };
+    if (element.getAttribute('role') === 'tab') return { kind: 'tab', open: element.getAttribute('aria-selected') === 'true' };
+    if (popup && popup !== 'false') return { kind: 'popup', open: expanded === 'true' };
+    if (expanded !== null) return { kind: 'disclosure', open: expanded === 'true' };
+    return null;
+  };
+
+  let forms = 0;
+  roots.forEach(({ root, hosts }) => {
+    forms += root.querySelectorAll('form').length;
+    const shadowHostCandidates = hosts.map(host => collectLocatorCandidates(host, looksGenerated, locatorCache));
+
+    root.querySelectorAll(interactiveSelector).forEach((element) => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        elements.push({
+          id: elementId(element, elements.length),
+          tag: element.tagName.toLowerCase(),
+          type: element.type || 'unknown',
+          text: element.textContent?.trim().substring(0, 100) || '',
+          placeholder: element.placeholder || '',
+          value: element.value || '',
+          href: element.href || '',
+          rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+          attributes: {
+            id: element.id,
+            className: element.className,
+            name: element.name,
+            role: element.getAttribute('role'),
+            ariaLabel: element.getAttribute('aria-label'),
+            dataTestId: element.getAttribute('data-testid')
+          },
+          parent: element.parentElement?.tagName?.toLowerCase(),
+          isVisible: !element.hidden && rect.width > 0 && rect.height > 0,
+          isClickable: ['button', 'a'].includes(element.tagName.toLowerCase()) ||
+                      element.onclick || element.getAttribute('role') === 'button',
+          locatorCandidates: collectLocatorCandidates(element, looksGenerated, locatorCache),
+          shadowHostCandidates,
+          field: fieldOf(element),
+          toggle: toggleOf(element)
+        });
+      }
+    });
+  });
+
+  return {
+    elements,
+    totalElements: elements.length,
+    forms,
+    primaryActions: identifyPrimaryActions(elements)
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * OpenWorldAgent - Job Manager
+ * Runs long generations in the background and persists job records to disk
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Orchestrator } from './orchestrator.js';
+import { getBaseDir } from './paths.js';
+import { recordableOptions } from './browser-options.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export class JobManager {
+  constructor(config = {}) {
+    this.jobsDir = config.jobsDir || path.join(getBaseDir(), 'jobs');
+    this.createOrchestrator = config.createOrchestrator || (() => new Orchestrator());
+    this.jobs = new Map();
+    this.active = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Load persisted job records, marking jobs cut off by a restart as interrupted
+   */
+  async load() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.jobsDir);
+    } catch (error) {
+      // No jobs directory yet
+      return this.jobs;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+        if (ACTIVE_STATUSES.includes(job.status)) {
+          job.status = 'interrupted';
+          job.error = 'Server restarted while the job was running';
+          job.finishedAt = new Date().toISOString();
+          await this.saveJob(job);
+        }
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.error(`⚠️ Skipping unreadable job record ${file}: ${error.message}`);
+      }
+    }
+
+    return this.jobs;
+  }
+
+  /**
+   * Start a generate_automation run in the background and return its job record
+   */
+  async startGeneration(url, siteName, options = {}) {
+    return this.startJob({ type: 'generate_automation', url, siteName, options }, (orchestrator, context) =>
+      orchestrator.generateAutomation(url, siteName, options, context)
+    );
+  }
+
+  /**
+   * Resume a checkpointed run in the background
+   */
+  async startResume(runId, options = {}, meta = {}) {
+    return this.startJob({ type: 'resume_run', runId, options, ...meta }, (orchestrator, context) =>
+      orchestrator.resumeRun(runId, options, context)
+    );
+  }
+
+  /**
+   * Create a job record and run `execute(orchestrator, context)` in the background
+   */
+  async startJob(fields, execute) {
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateJobId(),
+      status: 'running',
+      ...fields,
+      ...(fields.options && { options: recordableOptions(fields.options) }),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      steps: [],
+      result: null,
+      error: null
+    };
+
+    const orchestrator = this.createOrchestrator();
+    const controller = new AbortController();
+
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+
+    const promise = Promise.resolve()
+      .then(() => execute(orchestrator, {
+        signal: controller.signal,
+        onStep: (step) => {
+          job.steps.push(step);
+          job.updatedAt = new Date().toISOString();
+          this.saveJob(job);
+        }
+      }))
+      .then(result => this.finishJob(job, result, controller.signal))
+      .catch(error => this.finishJob(job, { success: false, error: error.message }, controller.signal))
+      .finally(() => this.active.delete(job.id));
+
+    this.active.set(job.id, { orchestrator, controller, promise });
+    return job;
+  }
+
+  /**
+   * Record the final pipeline result on a job
+   */
+  async finishJob(job, result, signal) {
+    if (signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      job.status = result.success ? 'completed' : 'failed';
+    }
+
+    job.result = result;
+    job.runId = result.runId || job.runId || null;
+    job.error = result.success ? null : result.error;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Get a job, optionally only the steps logged after `sinceStep`
+   */
+  getJob(jobId, sinceStep = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    return {
+      ...job,
+      steps: job.steps.slice(sinceStep),
+      nextStep: job.steps.length
+    };
+  }
+
+  /**
+   * List jobs newest first, without their step logs
+   */
+  listJobs(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, filter.limit || 50)
+      .map(({ steps, result, ...job }) => ({
+        ...job,
+        stepCount: steps.length,
+        lastStep: steps[steps.length - 1]?.message || null
+      }));
+  }
+
+  /**
+   * Cancel a running job and close its Playwright browser
+   */
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Unknown job: ${jobId}`);
+    }
+
+    const active = this.active.get(jobId);
+    if (!active) {
+      return job;
+    }
+
+    active.controller.abort();
+    await active.orchestrator.cleanup();
+    await active.promise;
+    return job;
+  }
+
+  /**
+   * Cancel every running job (used on shutdown)
+   */
+  async cancelAll() {
+    await Promise.all(Array.from(this.active.keys()).map(id => this.cancelJob(id)));
+  }
+
+  /**
+   * Persist a job record, serializing writes per job
+   */
+  saveJob(job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const next = previous.then(() => this.writeJob(job));
+    this.writes.set(job.id, next);
+    return next;
+  }
+
+  async writeJob(job) {
+    try {
+      await fs.mkdir(this.jobsDir, { recursive: true });
+      await fs.writeFile(path.join(this.jobsDir, `${job.id}.json`), JSON.stringify(job, null, 2));
+    } catch (error) {
+      console.error(`❌ Failed to save job ${job.id}: ${error.message}`);
+    }
+  }
+
+  generateJobId() {
+    return `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * OpenWorldAgent - Locators
+ * Ranked, uniqueness-checked ways to find an element again on a changed page
+ */
+
+const MAX_LOCATORS = 5;
+
+const STRATEGY_SCORES = { testid: 100, role: 90, label: 85, css: 50, xpath: 20 };
+const ATTRIBUTE_SCORES = { id: 80, name: 80, 'aria-label': 75, placeholder: 70, title: 65, alt: 65, href: 60 };
+
+/**
+ * Stability score of a locator candidate, 0-100
+ *
+ * Test ids and accessible names survive restyling; attributes are next,
+ * CSS paths lose points per level and positional XPath is the last resort.
+ * Values that look generated (hashes, counters, CSS-in-JS classes) are
+ * likely to change between builds, and long names are likely to be content.
+ */
+export function scoreLocator(candidate) {
+  let score = candidate.strategy === 'attribute'
+    ? ATTRIBUTE_SCORES[candidate.attribute] ?? 60
+    : STRATEGY_SCORES[candidate.strategy] ?? 0;
+
+  const text = candidate.value ?? candidate.name ?? candidate.label ?? '';
+  if (looksGenerated(text)) {
+    score -= 40;
+  }
+  if (['role', 'label'].includes(candidate.strategy) && text.length > 40) {
+    score -= 15;
+  }
+  if (candidate.strategy === 'css') {
+    score -= 5 * (candidate.selector.split(' > ').length - 1);
+  }
+  return Math.max(score, 0);
+}
+
+/**
+ * Best locators first: unique matches before ambiguous ones, then by score
+ *
+ * Candidates that matched nothing on the live page are dropped.
+ */
+export function rankLocators(candidates, limit = MAX_LOCATORS) {
+  return candidates
+    .filter(candidate => candidate.count > 0)
+    .map(candidate => ({ ...candidate, unique: candidate.count === 1, score: scoreLocator(candidate) }))
+    .sort((a, b) => b.unique - a.unique || b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Best locator usable as a plain Playwright selector - not role or label -
+ * as needed for frame and shadow host scopes
+ */
+export function bestSelector(locators) {
+  return locators.find(locator => locator.selector)?.selector;
+}
+
+/**
+ * Playwright-style text for a locator, for reports and error messages
+ */
+export function describeLocator(locator) {
+  if (locator.strategy === 'role') return `role=${locator.role}[name=${JSON.stringify(locator.name)}]`;
+  if (locator.strategy === 'label') return `label=${JSON.stringify(locator.label)}`;
+  return locator.selector;
+}
+
+/**
+ * Playwright locator for a ranked locator within `root` - a page, frame locator or locator
+ */
+export function resolveLocator(root, locator) {
+  if (locator.strategy === 'role') return root.getByRole(locator.role, { name: locator.name, exact: true });
+  if (locator.strategy === 'label') return root.getByLabel(locator.label, { exact: true });
+  return root.locator(locator.selector);
+}
+
+// The functions below run inside the page (see InterfaceMapper.mapElements),
+// so they must stay self-contained.
+
+/**
+ * Does an id, class or attribute value look machine-generated?
+ */
+export function looksGenerated(value) {
+  const text = String(value || '');
+  return [
+    /\d{4,}/,                                           // counters and timestamps
+    /^:r[0-9a-z]*:$/,                                   // React useId
+    /[0-9a-f]{8}-[0-9a-f]{4}-/i,                        // UUIDs
+    /^(css|sc|jsx|emotion|svelte)-[a-z0-9]+$/i,         // CSS-in-JS classes
+    /__[a-z0-9]{5,}$/i,                                 // CSS modules
+    /^(?=(?:[a-z]*\d){2})[a-z0-9]{6,}$/i                // short hashes
+  ].some(pattern => pattern.test(text));
+}
+
+/**
+ * Every way to locate `element`, each with how many elements it matches
+ *
+ * Candidates are test ids, ARIA role plus accessible name, label text,
+ * stable attributes, a short CSS path and a positional XPath. Matches are
+ * counted within the element's document or shadow root - Playwright CSS and
+ * role locators pierce shadow DOM once scoped to the host, XPath does not, so
+ * shadow elements get no XPath. `cache` is shared between calls for the same
+ * page so roles are computed once per root.
+ */
+export function collectLocatorCandidates(element, looksGenerated, cache = {}) {
+  const maxCssDepth = 5;
+  const maxValueLength = 200;
+  const doc = element.ownerDocument;
+  const root = element.getRootNode();
+  const tag = element.tagName.toLowerCase();
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+  const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+  const count = (selector) => {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  };
+  const countXPath = (path) => {
+    try {
+      return doc.evaluate(`count(${path})`, doc, null, XPathResult.NUMBER_TYPE, null).numberValue;
+    } catch {
+      return 0;
+    }
+  };
+
+  const roleOf = (el) => {
+    const explicit = normalize(el.getAttribute('role')).split(' ')[0];
+    if (explicit) return explicit;
+
+    const name = el.tagName.toLowerCase();
+    if (name === 'a') return el.hasAttribute('href') ? 'link' : null;
+    if (name === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      const inputRoles = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox',
+        hidden: null, file: null, color: null
+      };
+      return type in inputRoles ? inputRoles[type] : 'textbox';
+    }
+    if (name === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    return { button: 'button', textarea: 'textbox', summary: 'button' }[name] || null;
+  };
+
+  const labelOf = (el) => normalize(Array.from(el.labels || [], label => label.textContent).join(' '));
+
+  const nameOf = (el) => {
+    const name = el.tagName.toLowerCase();
+    const labelledBy = normalize(el.getAttribute('aria-labelledby')).split(' ').filter(Boolean)
+      .map(id => root.getElementById(id)?.textContent || '').join(' ');
+    const isField = ['input', 'select', 'textarea'].includes(name);
+    const isInputButton = name === 'input' && ['submit', 'button', 'reset'].includes(el.type);
+    return normalize(labelledBy) ||
+      normalize(el.getAttribute('aria-label')) ||
+      labelOf(el) ||
+      normalize(el.getAttribute('alt')) ||
+      (isInputButton ? normalize(el.value) : '') ||
+      (isField ? '' : normalize(el.textContent)) ||
+      normalize(el.getAttribute('title')) ||
+      normalize(el.getAttribute('placeholder'));
+  };
+
+  if (!cache.roots) {
+    cache.roots = new Map();
+  }
+  if (!cache.roots.has(root)) {
+    const roles = new Map();
+    root.querySelectorAll('*').forEach(el => {
+      const role = roleOf(el);
+      if (!role) return;
+      if (!roles.has(role)) roles.set(role, []);
+      roles.get(role).push(el);
+    });
+    cache.roots.set(root, { roles, names: new Map() });
+  }
+  const { roles, names } = cache.roots.get(root);
+  const cachedName = (el) => {
+    if (!names.has(el)) names.set(el, nameOf(el));
+    return names.get(el);
+  };
+
+  const cssStep = (el) => {
+    const name = el.tagName.toLowerCase();
+    const stableClass = Array.from(el.classList).find(cls => !looksGenerated(cls));
+    const base = stableClass ? `${name}.${CSS.escape(stableClass)}` : name;
+    const sameTag = Array.from(el.parentElement?.children || []).filter(sibling => sibling.tagName === el.tagName);
+    return sameTag.filter(sibling => sibling.matches(base)).length > 1
+      ? `${base}:nth-of-type(${sameTag.indexOf(el) + 1})`
+      : base;
+  };
+
+  // Walks up until the path is unique or reaches an ancestor with a stable id
+  const cssPath = () => {
+    const parts = [cssStep(element)];
+    for (let el = element.parentElement; el && el !== doc.documentElement && parts.length < maxCssDepth; el = el.parentElement) {
+      if (count(parts.join(' > ')) === 1) break;
+      if (el.id && !looksGenerated(el.id)) {
+        parts.unshift(`#${CSS.escape(el.id)}`);
+        break;
+      }
+      parts.unshift(cssStep(el));
+    }
+    return parts.join(' > ');
+  };
+
+  const xpath = () => {
+    const parts = [];
+    for (let el = element; el; el = el.parentElement) {
+      const sameTag = Array.from(el.parentElement?.children || []).filter(sibling => sibling.tagName === el.tagName);
+      const name = el.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${name}[${sameTag.indexOf(el) + 1}]` : name);
+    }
+    return `/${parts.join('/')}`;
+  };
+
+  const candidates = [];
+
+  for (const attribute of ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa']) {
+    const value = element.getAttribute(attribute);
+    if (value) {
+      const selector = `[${attribute}=${quote(value)}]`;
+      candidates.push({ strategy: 'testid', attribute, value, selector, count: count(selector) });
+    }
+  }
+
+  const role = roleOf(element);
+  const name = role && cachedName(element);
+  if (name) {
+    const matches = roles.get(role).filter(el => cachedName(el) === name).length;
+    candidates.push({ strategy: 'role', role, name, count: matches });
+  }
+
+  const label = labelOf(element);
+  if (label) {
+    const matches = Array.from(root.querySelectorAll('input, select, textarea'))
+      .filter(el => labelOf(el) === label).length;
+    candidates.push({ strategy: 'label', label, count: matches });
+  }
+
+  if (element.id) {
+    const selector = `#${CSS.escape(element.id)}`;
+    candidates.push({ strategy: 'attribute', attribute: 'id', value: element.id, selector, count: count(selector) });
+  }
+  for (const attribute of ['name', 'aria-label', 'placeholder', 'title', 'alt', 'href']) {
+    const value = element.getAttribute(attribute);
+    if (value && value.length <= maxValueLength) {
+      const selector = `${tag}[${attribute}=${quote(value)}]`;
+      candidates.push({ strategy: 'attribute', attribute, value, selector, count: count(selector) });
+    }
+  }
+
+  const css = cssPath();
+  candidates.push({ strategy: 'css', selector: css, count: count(css) });
+
+  if (root === doc) {
+    const path = xpath();
+    candidates.push({ strategy: 'xpath', selector: `xpath=${path}`, count: countXPath(path) });
+  }
+
+  return candidates;
+}
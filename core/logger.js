@@ -0,0 +1,192 @@
+/**
+ * OpenWorldAgent - Logger
+ * Leveled, structured logging with per-run JSON-lines traces
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getBaseDir } from './paths.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Run id and current stage of the pipeline a log call happens in
+const runContext = new AsyncLocalStorage();
+
+// Pending appends per trace file, so lines land in order
+const traceWrites = new Map();
+
+export class Logger {
+  constructor(config = {}) {
+    this.component = config.component || 'owa';
+    this.level = config.level;
+    this.tracesDir = config.tracesDir;
+  }
+
+  /**
+   * Logger for a component sharing this logger's settings
+   */
+  child(component) {
+    return new Logger({ component, level: this.level, tracesDir: this.tracesDir });
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Print to stderr at or above the console level and append to the current run's trace
+   */
+  log(level, message, fields = {}) {
+    const { error, ...rest } = fields;
+    const entry = this.entry(level, { type: 'log', message, ...rest });
+    if (error) {
+      entry.error = serializeError(error);
+    }
+
+    const threshold = LOG_LEVELS[this.level || process.env.OWA_LOG_LEVEL || 'info'] ?? LOG_LEVELS.info;
+    if (LOG_LEVELS[level] >= threshold) {
+      console.error(`[${new Date(entry.time).toLocaleTimeString()}] ${message}`);
+    }
+    this.trace(entry);
+  }
+
+  /**
+   * Run `fn` as a named span, tracing its start, end, duration and any error
+   *
+   * Log calls inside the span are tagged with `fields.stage` when given.
+   */
+  async span(name, fn, fields = {}) {
+    const start = new Date();
+    const run = () => {
+      this.trace(this.entry('debug', { type: 'span', event: 'start', span: name, ...fields }));
+      return fn();
+    };
+
+    const end = (level, status, extra) => this.trace(this.entry(level, {
+      type: 'span',
+      event: 'end',
+      span: name,
+      ...fields,
+      start: start.toISOString(),
+      end: new Date().toISOString(),
+      durationMs: Date.now() - start.getTime(),
+      status,
+      ...extra
+    }));
+
+    try {
+      const result = await (fields.stage ? withRunContext({ stage: fields.stage }, run) : run());
+      end('info', 'ok');
+      return result;
+    } catch (error) {
+      end('error', 'error', { error: serializeError(error) });
+      throw error;
+    }
+  }
+
+  entry(level, fields) {
+    const context = runContext.getStore() || {};
+    return {
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      runId: context.runId,
+      stage: context.stage,
+      ...fields
+    };
+  }
+
+  trace(entry) {
+    if (!entry.runId) return;
+
+    const tracePath = path.join(this.getTracesDir(), `${entry.runId}.jsonl`);
+    const previous = traceWrites.get(tracePath) || Promise.resolve();
+    const write = previous
+      .then(() => fs.mkdir(path.dirname(tracePath), { recursive: true }))
+      .then(() => fs.appendFile(tracePath, `${JSON.stringify(entry)}\n`))
+      .catch(error => console.error(`❌ Failed to write trace ${tracePath}: ${error.message}`));
+
+    traceWrites.set(tracePath, write);
+    write.then(() => {
+      if (traceWrites.get(tracePath) === write) traceWrites.delete(tracePath);
+    });
+  }
+
+  getTracesDir() {
+    return this.tracesDir || path.join(getBaseDir(), 'traces');
+  }
+
+  /**
+   * Wait until every trace line written so far is on disk
+   */
+  async flush() {
+    await Promise.all([...traceWrites.values()]);
+  }
+
+  /**
+   * Trace entries of a run, filtered by minimum level, stage, component,
+   * type (`log` or `span`) and message text; the last `limit` entries win
+   */
+  async readTrace(runId, filter = {}) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid run id: ${runId}`);
+    }
+    await this.flush();
+
+    let text;
+    try {
+      text = await fs.readFile(path.join(this.getTracesDir(), `${runId}.jsonl`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const minLevel = LOG_LEVELS[filter.level] ?? LOG_LEVELS.debug;
+    const search = filter.search?.toLowerCase();
+    const entries = text.split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => LOG_LEVELS[entry.level] >= minLevel)
+      .filter(entry => !filter.stage || entry.stage === filter.stage)
+      .filter(entry => !filter.component || entry.component === filter.component)
+      .filter(entry => !filter.type || entry.type === filter.type)
+      .filter(entry => !search || (entry.message || '').toLowerCase().includes(search) ||
+        (entry.error?.message || '').toLowerCase().includes(search));
+
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+  }
+}
+
+/**
+ * Run `fn` with fields (runId, stage) attached to every log call inside it
+ */
+export function withRunContext(fields, fn) {
+  return runContext.run({ ...runContext.getStore(), ...fields }, fn);
+}
+
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...(error.code && { code: error.code })
+  };
+}
+
+export const logger = new Logger();
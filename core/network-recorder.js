@@ -0,0 +1,257 @@
+/**
+ * OpenWorldAgent - Network Recorder
+ * Captures the JSON XHR/fetch traffic of a browser session and infers API endpoints
+ */
+
+import { matchesDomain } from './domain-policy.js';
+
+const MAX_EXCHANGES = 500;
+const MAX_BODY_BYTES = 256 * 1024;
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+export class NetworkRecorder {
+  constructor(config = {}) {
+    this.maxExchanges = config.maxExchanges || MAX_EXCHANGES;
+    this.exchanges = [];
+    this.pending = new Set();
+    this.onRequestFinished = (request) => this.track(this.record(request));
+  }
+
+  /**
+   * Start recording every finished request of the page's context
+   */
+  attach(page) {
+    page.on('requestfinished', this.onRequestFinished);
+    this.page = page;
+  }
+
+  detach() {
+    this.page?.off('requestfinished', this.onRequestFinished);
+    this.page = null;
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+  }
+
+  /**
+   * Record one finished request if it is a JSON XHR/fetch exchange
+   */
+  async record(request) {
+    try {
+      if (!API_RESOURCE_TYPES.includes(request.resourceType()) || this.exchanges.length >= this.maxExchanges) {
+        return;
+      }
+
+      const response = await request.response();
+      const contentType = response?.headers()['content-type'] || '';
+      if (!contentType.includes('json')) {
+        return;
+      }
+
+      const text = await response.text();
+      if (text.length > MAX_BODY_BYTES) {
+        return;
+      }
+
+      this.exchanges.push({
+        method: request.method(),
+        url: request.url(),
+        requestBody: parseJson(request.postData()),
+        status: response.status(),
+        responseBody: parseJson(text)
+      });
+    } catch (error) {
+      // Responses can disappear when the page navigates - skip them
+    }
+  }
+
+  /**
+   * Infer the endpoints of the site at `siteUrl` from what has been recorded
+   *
+   * Requests to `options.allowedDomains` (the run's domain policy) count as
+   * the site's own, next to its host and subdomains.
+   */
+  async summarize(siteUrl, options = {}) {
+    await Promise.all([...this.pending]);
+    const { allowedDomains = [] } = options;
+    const endpoints = inferEndpoints(this.exchanges.filter(exchange => isFirstParty(exchange.url, siteUrl, allowedDomains)));
+
+    return {
+      siteUrl,
+      recorded: this.exchanges.length,
+      endpoints
+    };
+  }
+}
+
+/**
+ * Group exchanges into endpoints by method and path template
+ *
+ * ID-like path segments become `{name}` parameters, query parameters present
+ * in every sample are required, and request/response bodies are merged into
+ * JSON Schemas. Exchanges are sorted first, so the result does not depend on
+ * the order concurrent requests happened to finish in.
+ */
+export function inferEndpoints(exchanges) {
+  const endpoints = new Map();
+
+  const sorted = [...exchanges].sort((a, b) =>
+    `${a.method} ${a.url}`.localeCompare(`${b.method} ${b.url}`)
+  );
+
+  for (const exchange of sorted) {
+    const url = new URL(exchange.url);
+    const { pathTemplate, pathParams } = templatePath(url.pathname);
+    const key = `${exchange.method} ${url.origin}${pathTemplate}`;
+
+    if (!endpoints.has(key)) {
+      endpoints.set(key, {
+        method: exchange.method,
+        origin: url.origin,
+        pathTemplate,
+        pathParams: pathParams.map(param => ({ name: param.name, example: param.value })),
+        queries: [],
+        requestSchema: undefined,
+        responseSchema: undefined,
+        statuses: new Set(),
+        samples: 0
+      });
+    }
+
+    const endpoint = endpoints.get(key);
+    endpoint.samples++;
+    endpoint.statuses.add(exchange.status);
+    endpoint.queries.push(Object.fromEntries(url.searchParams));
+    if (exchange.requestBody !== undefined) {
+      endpoint.requestSchema = mergeSchemas(endpoint.requestSchema, inferSchema(exchange.requestBody));
+    }
+    if (exchange.responseBody !== undefined && exchange.status < 400) {
+      endpoint.responseSchema = mergeSchemas(endpoint.responseSchema, inferSchema(exchange.responseBody));
+    }
+  }
+
+  return [...endpoints.values()].map(({ queries, statuses, ...endpoint }) => ({
+    ...endpoint,
+    queryParams: inferQueryParams(queries),
+    statuses: [...statuses].sort()
+  }));
+}
+
+/**
+ * JSON Schema describing one value
+ */
+export function inferSchema(value) {
+  if (value === null) return { type: 'null' };
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 20).map(inferSchema).reduce(mergeSchemas, undefined);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+  if (typeof value === 'object') {
+    const properties = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item)]));
+    return { type: 'object', properties, required: Object.keys(properties) };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    return { type: 'string', format: 'date-time' };
+  }
+  return { type: typeof value };
+}
+
+/**
+ * Schema accepting values of either schema - properties missing from one side become optional
+ */
+export function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  if (a.type === 'object' && b.type === 'object') {
+    const properties = { ...a.properties };
+    for (const [key, schema] of Object.entries(b.properties)) {
+      properties[key] = mergeSchemas(properties[key], schema);
+    }
+    return {
+      type: 'object',
+      properties,
+      required: a.required.filter(key => b.required.includes(key))
+    };
+  }
+
+  if (a.type === 'array' && b.type === 'array') {
+    const items = mergeSchemas(a.items, b.items);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+
+  if (a.type === b.type) return a.format === b.format ? a : { type: a.type };
+  if ([a.type, b.type].every(type => ['integer', 'number'].includes(type))) return { type: 'number' };
+
+  const types = [...new Set([a.type, b.type].flat())];
+  return { type: types };
+}
+
+/**
+ * Replace ID-like segments with named parameters: /users/42/posts -> /users/{userId}/posts
+ */
+function templatePath(pathname) {
+  const segments = pathname.split('/');
+  const pathParams = [];
+
+  const templated = segments.map((segment, index) => {
+    if (!isIdLike(segment)) return segment;
+
+    const previous = (segments[index - 1] || '').replace(/[^a-zA-Z0-9]/g, '');
+    let name = previous ? `${previous.replace(/s$/, '')}Id` : 'id';
+    while (pathParams.some(param => param.name === name)) {
+      name = `${name}${pathParams.length + 1}`;
+    }
+    pathParams.push({ name, value: decodeURIComponent(segment) });
+    return `{${name}}`;
+  });
+
+  return { pathTemplate: templated.join('/'), pathParams };
+}
+
+function isIdLike(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    (/^[0-9a-f]{12,}$/i.test(segment) && /\d/.test(segment)) ||
+    (/^[A-Za-z0-9_-]{16,}$/.test(segment) && /\d/.test(segment) && /[A-Za-z]/.test(segment));
+}
+
+function inferQueryParams(queries) {
+  const names = [...new Set(queries.flatMap(query => Object.keys(query)))];
+
+  return Object.fromEntries(names.map(name => {
+    const values = queries.map(query => query[name]).filter(value => value !== undefined);
+    const type = values.every(value => /^-?\d+(\.\d+)?$/.test(value)) ? 'number'
+      : values.every(value => ['true', 'false'].includes(value)) ? 'boolean'
+        : 'string';
+    return [name, { type, required: values.length === queries.length, example: values[0] }];
+  }));
+}
+
+/**
+ * Same site as the target - its host without `www.`, a subdomain of that, or an allowed domain
+ *
+ * Guessing the registrable domain from the last labels breaks on suffixes
+ * like `co.uk`, so other subdomains of the parent only count when allowed.
+ */
+function isFirstParty(url, siteUrl, allowedDomains = []) {
+  try {
+    const site = new URL(siteUrl).hostname.replace(/^www\./, '');
+    const host = new URL(url).hostname;
+    return [site, ...allowedDomains].some(domain => matchesDomain(host, domain));
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseJson(text) {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
@@ -5,15 +5,22 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import os from 'os';
-import dotenv from 'dotenv';
-dotenv.config();
+import { getBaseDir } from './paths.js';
+import { resolveBrowserOptions, recordableBrowserOptions, headerEnvVar } from './browser-options.js';
+import { logger } from './logger.js';
+import { DomainPolicy, matchesDomain, findForbiddenAction, evaluateUrl, reserveRequest } from './domain-policy.js';
+import { parseRobotsTxt, isPathAllowed, fetchRobotsTxt, FETCH_TIMEOUT } from './robots.js';
+
+export const GENERATOR_VERSION = '1.0.0';
 
 export class NPMPackager {
   constructor(config = {}) {
-    const baseDir = process.env.MCP_BASE_DIR || path.join(os.homedir(), 'Desktop/universal-mcp-generator');
+    this.logger = config.logger || logger.child('packager');
+    const baseDir = getBaseDir();
     this.templatesDir = config.templatesDir || path.join(baseDir, 'templates');
     this.outputDir = config.outputDir || path.join(baseDir, 'generated');
+    this.registryPath = path.join(this.outputDir, 'registry.json');
+    this.registryQueue = Promise.resolve();
   }
 
   /**
@@ -23,24 +30,26 @@ export class NPMPackager {
     try {
       const packageName = `${siteName}-mcp`;
       const packageDir = path.join(this.outputDir, packageName);
+      const browser = recordableBrowserOptions(resolveBrowserOptions(pipeline.options));
+      const policy = new DomainPolicy(pipeline.options?.policy).rules();
+      // Replays pass the recorded run's timestamp so the package comes out byte-identical
+      const generatedAt = pipeline.generatedAt || new Date().toISOString();
 
-      console.error(`📦 Creating NPM package: ${packageName}`);
+      this.logger.info(`📦 Creating NPM package: ${packageName}`);
 
       // Create package directory
       await fs.mkdir(packageDir, { recursive: true });
 
       // Generate package.json
-      await this.generatePackageJson(packageDir, packageName, siteName, toolsData);
+      await this.generatePackageJson(packageDir, packageName, siteName, toolsData, browser, generatedAt);
 
       // Generate main server file
-      await this.generateServerFile(packageDir, siteName, toolsData, pipeline);
+      await this.generateServerFile(packageDir, siteName, toolsData, pipeline, browser, generatedAt, policy);
 
       // Generate README
-      await this.generateReadme(packageDir, packageName, siteName, toolsData);
-
-      console.error(`✅ Package created: ${packageDir}`);
+      await this.generateReadme(packageDir, packageName, siteName, toolsData, browser, generatedAt, policy);
 
-      return {
+      const result = {
         success: true,
         packageName,
         path: packageDir,
@@ -48,8 +57,24 @@ export class NPMPackager {
         serverPath: path.join(packageDir, 'server.js')
       };
 
+      // Record in the package registry
+      await this.registerPackage({
+        packageName,
+        siteName,
+        sourceUrl: pipeline.url,
+        path: packageDir,
+        serverPath: result.serverPath,
+        generatedAt: new Date().toISOString(),
+        toolCount: toolsData.totalTools,
+        generatorVersion: GENERATOR_VERSION
+      });
+
+      this.logger.info(`✅ Package created: ${packageDir}`);
+
+      return result;
+
     } catch (error) {
-      console.error(`❌ Package creation failed: ${error.message}`);
+      this.logger.error(`❌ Package creation failed: ${error.message}`, { error });
       return { success: false, error: error.message };
     }
   }
@@ -57,7 +82,7 @@ export class NPMPackager {
   /**
    * Generate package.json for the MCP package
    */
-  async generatePackageJson(packageDir, packageName, siteName, toolsData) {
+  async generatePackageJson(packageDir, packageName, siteName, toolsData, browser, generatedAt) {
     const packageJson = {
       name: packageName,
       version: '1.0.0',
@@ -73,13 +98,14 @@ export class NPMPackager {
       license: 'MIT',
       dependencies: {
         '@modelcontextprotocol/sdk': '^0.5.0',
-        'playwright': '^1.40.0'
+        'playwright': '^1.60.0'
       },
       engines: { node: '>=18.0.0' },
       generated: {
-        timestamp: new Date().toISOString(),
+        timestamp: generatedAt,
         tools: toolsData.totalTools,
-        generator: 'Universal MCP Generator v1.0.0'
+        generator: `Universal MCP Generator v${GENERATOR_VERSION}`,
+        browser
       }
     };
 
@@ -89,18 +115,44 @@ export class NPMPackager {
   /**
    * Generate main server file
    */
-  async generateServerFile(packageDir, siteName, toolsData, pipeline) {
+  async generateServerFile(packageDir, siteName, toolsData, pipeline, browser, generatedAt, policy) {
     const serverCode = `#!/usr/bin/env node
 /**
  * ${siteName.toUpperCase()} MCP Server - Auto-generated
- * Generated: ${new Date().toISOString()}
+ * Generated: ${generatedAt}
  * Tools: ${toolsData.totalTools} | URL: ${pipeline.url}
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { chromium } from 'playwright';
+import { chromium, firefox, webkit } from 'playwright';
+
+// Browser settings recorded at generation time
+const BROWSER = ${JSON.stringify(browser, null, 2)};
+const ENGINES = { chromium, firefox, webkit };
+
+// Domain policy recorded at generation time
+const POLICY = ${JSON.stringify(policy, null, 2)};
+const requestSchedule = new Map();
+const robotsCache = new Map();
+const FETCH_TIMEOUT = ${FETCH_TIMEOUT};
+
+${matchesDomain.toString()}
+
+${findForbiddenAction.toString()}
+
+${evaluateUrl.toString()}
+
+${reserveRequest.toString()}
+
+${parseRobotsTxt.toString()}
+
+${isPathAllowed.toString()}
+
+${fetchRobotsTxt.toString()}
+
+${headerEnvVar.toString()}
 
 class ${this.capitalize(siteName)}MCPServer {
   constructor() {
@@ -135,13 +187,103 @@ class ${this.capitalize(siteName)}MCPServer {
 
   async initializeBrowser() {
     if (!this.browser) {
-      this.browser = await chromium.launch({ headless: false });
-      this.page = await this.browser.newPage();
+      await this.enforcePolicy(this.baseUrl);
+      const { engine, headless, proxy, secretHeaders = [], ...contextOptions } = BROWSER;
+      // Credential headers are not recorded - they come from HEADER_<NAME>
+      for (const name of secretHeaders) {
+        const value = process.env[headerEnvVar(name)];
+        if (value !== undefined) contextOptions.extraHTTPHeaders = { ...contextOptions.extraHTTPHeaders, [name]: value };
+      }
+      this.browser = await ENGINES[engine].launch({
+        headless,
+        proxy: proxy && process.env.PROXY_USERNAME
+          ? { ...proxy, username: process.env.PROXY_USERNAME, password: process.env.PROXY_PASSWORD }
+          : proxy
+      });
+      this.page = await this.browser.newPage(contextOptions);
       await this.page.goto(this.baseUrl);
     }
     return this.page;
   }
 
+  async openRoute(url) {
+    const page = await this.initializeBrowser();
+    if (page.url() !== url) {
+      await this.enforcePolicy(url);
+      await page.goto(url);
+    }
+    return page;
+  }
+
+  // First locator that matches exactly one element, in ranked order; an
+  // ambiguous match is only used when no locator is unique. Locators are
+  // scoped to the element's iframes and shadow hosts, outermost first.
+  async locate(page, locators, scope = {}) {
+    let root = page;
+    for (const selector of scope.framePath || []) root = root.frameLocator(selector);
+    for (const selector of scope.shadowHosts || []) root = root.locator(selector);
+
+    const resolve = (locator) => {
+      if (locator.strategy === 'role') return root.getByRole(locator.role, { name: locator.name, exact: true });
+      if (locator.strategy === 'label') return root.getByLabel(locator.label, { exact: true });
+      return root.locator(locator.selector);
+    };
+
+    await resolve(locators[0]).first().waitFor({ state: 'attached', timeout: 5000 }).catch(() => {});
+    let ambiguous = null;
+    for (const locator of locators) {
+      const match = resolve(locator);
+      const count = await match.count();
+      if (count === 1) return match;
+      if (count > 1 && !ambiguous) ambiguous = match.first();
+    }
+    if (ambiguous) return ambiguous;
+    throw new Error(\`Element not found: \${locators.map(locator => locator.selector || locator.name || locator.label).join(' | ')}\`);
+  }
+
+  // Replay the clicks and hovers that open a menu, dialog or tab, skipping
+  // toggles that are already open
+  async reveal(page, steps) {
+    for (const step of steps) {
+      const toggle = await this.locate(page, step.locators, step);
+      const open = await toggle.evaluate(el => el.getAttribute('aria-expanded') === 'true' ||
+        el.getAttribute('aria-selected') === 'true' ||
+        (el.tagName === 'SUMMARY' && el.parentElement.open)).catch(() => false);
+      if (open) continue;
+      await this.enforcePolicy(step.frameUrl || page.url(), step.name);
+      await toggle[step.action]();
+    }
+  }
+
+  // Refuse URLs and actions the policy or robots.txt forbid, then wait for the host's rate limit
+  async enforcePolicy(url, action = '') {
+    const target = new URL(url, this.baseUrl);
+    const keyword = findForbiddenAction(action, POLICY.forbiddenActions);
+    const violation = evaluateUrl(target.href, POLICY) ||
+      (keyword && { reason: \`"\${keyword}" actions are forbidden\` }) ||
+      await this.checkRobots(target);
+    if (violation) {
+      throw new Error(\`🚫 Blocked by policy: \${violation.reason}\`);
+    }
+
+    const wait = reserveRequest(requestSchedule, target.host, POLICY.maxRequestsPerSecond, Date.now());
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // robots.txt of each origin is fetched once, when the policy honors it
+  async checkRobots(target) {
+    if (!POLICY.robots || !['http:', 'https:'].includes(target.protocol)) return null;
+    if (!robotsCache.has(target.origin)) {
+      robotsCache.set(target.origin, fetchRobotsTxt(target.origin, { userAgent: POLICY.userAgent }));
+    }
+    const rules = await robotsCache.get(target.origin);
+    return isPathAllowed(rules, target.pathname + target.search)
+      ? null
+      : { reason: \`\${target.pathname} is disallowed by robots.txt\` };
+  }
+
   ${toolsData.tools.map(tool => this.generateToolMethod(tool, siteName)).join('\n\n  ')}
 
   async cleanup() {
@@ -197,17 +339,99 @@ process.on('SIGINT', async () => { await server.cleanup(); process.exit(0); });
   }`;
     }
 
-    if (tool.implementation === 'click_element') {
+    if (tool.implementation === 'navigate_to') {
       return `async ${methodName}(args) {
+    const page = await this.openRoute(${JSON.stringify(tool.href)});
+    return { content: [{ type: 'text', text: \`✅ Opened \${page.url()}\` }] };
+  }`;
+    }
+
+    if (tool.implementation === 'http_request') {
+      const { method, url, queryParams } = tool.endpoint;
+      return `async ${methodName}(args) {
+    // Reuses the browser context's cookies, so the call runs as the logged-in session
     const page = await this.initializeBrowser();
-    await page.click('${tool.selector || 'button'}');
+    const queryParams = ${JSON.stringify(queryParams)};
+    const url = ${JSON.stringify(url)}.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(args[name]));
+    const params = Object.fromEntries(queryParams.filter(name => args[name] !== undefined).map(name => [name, args[name]]));
+    await this.enforcePolicy(url);
+    const response = await page.request.fetch(url, { method: '${method}', params, data: args.body });
+    const body = await response.text();
+    return {
+      content: [{ type: 'text', text: \`\${response.status()} ${method} \${response.url()}\\n\${body}\` }],
+      isError: !response.ok()
+    };
+  }`;
+    }
+
+    // Tools from crawled pages open their route first
+    const openPage = tool.url
+      ? `await this.openRoute(${JSON.stringify(tool.url)})`
+      : 'await this.initializeBrowser()';
+
+    // Tools for elements behind menus, dialogs and tabs open them first
+    const reveal = tool.reveal
+      ? `\n    await this.reveal(page, ${JSON.stringify(tool.reveal.map(({ name, action, locators, framePath, shadowHosts, frameUrl }) =>
+        ({ name, action, locators, framePath, shadowHosts, frameUrl })))});`
+      : '';
+
+    if (tool.implementation === 'click_element') {
+      const locators = tool.locators || [{ strategy: 'css', selector: tool.selector || 'button' }];
+      // Elements in iframes and shadow DOM are located through their frames and hosts
+      const scope = tool.framePath?.length || tool.shadowHosts?.length
+        ? `, ${JSON.stringify({ framePath: tool.framePath || [], shadowHosts: tool.shadowHosts || [] })}`
+        : '';
+      return `async ${methodName}(args) {
+    const page = ${openPage};${reveal}
+    const element = await this.locate(page, ${JSON.stringify(locators)}${scope});
+    const label = await element.textContent({ timeout: 5000 }).catch(() => '');
+    await this.enforcePolicy(${tool.frameUrl ? JSON.stringify(tool.frameUrl) : 'page.url()'}, label);
+    await element.click();
     return { content: [{ type: 'text', text: '✅ Element clicked successfully' }] };
   }`;
     }
 
+    if (tool.implementation === 'fill_form' && tool.fields) {
+      return `async ${methodName}(args) {
+    const page = ${openPage};${reveal}
+    const fields = ${JSON.stringify(tool.fields)};
+    const filled = [];
+    for (const field of fields) {
+      const value = args[field.key];
+      if (value === undefined) continue;
+      const scope = { framePath: field.framePath, shadowHosts: field.shadowHosts };
+      if (field.control === 'radio') {
+        const option = field.options.find(option => option.value === value);
+        if (!option) throw new Error(\`Unknown \${field.key}: \${value}\`);
+        await (await this.locate(page, option.locators, scope)).check();
+      } else if (field.control === 'checkboxes') {
+        for (const option of field.options) {
+          const input = await this.locate(page, option.locators, scope);
+          await input.setChecked(value.includes(option.value));
+        }
+      } else {
+        const input = await this.locate(page, field.locators, scope);
+        if (field.control === 'checkbox') await input.setChecked(Boolean(value));
+        else if (field.control === 'select') await input.selectOption(value);
+        else await input.fill(String(value));
+      }
+      filled.push(field.key);
+    }
+
+    const submit = ${JSON.stringify(tool.submit || null)};
+    if (args.submit && submit) {
+      const button = await this.locate(page, submit.locators, submit);
+      await this.enforcePolicy(page.url(), submit.text);
+      await button.click();
+    }
+    const submitted = args.submit && submit ? \`, submitted "\${submit.text}"\` : '';
+    return { content: [{ type: 'text', text: \`✅ Filled \${filled.join(', ') || 'nothing'}\${submitted}\` }] };
+  }`;
+    }
+
     // Default implementation
     return `async ${methodName}(args) {
-    const page = await this.initializeBrowser();
+    const page = ${openPage};
     return { content: [{ type: 'text', text: '🔧 ${tool.description} - Implementation needed' }] };
   }`;
   }
@@ -215,7 +439,7 @@ process.on('SIGINT', async () => { await server.cleanup(); process.exit(0); });
   /**
    * Generate README file
    */
-  async generateReadme(packageDir, packageName, siteName, toolsData) {
+  async generateReadme(packageDir, packageName, siteName, toolsData, browser, generatedAt, policy) {
     const readme = `# ${packageName}
 
 Auto-generated MCP server for ${siteName} automation.
@@ -230,14 +454,42 @@ ${JSON.stringify(tool.inputSchema, null, 2)}
 \`\`\`
 `).join('\n')}
 
-## Installation
+${toolsData.routes?.length > 1 ? `## Routes
+
+${toolsData.routes.map(route => `- \`${route.route}\`: ${route.tools.map(name => `\`${name}\``).join(', ') || '(no tools)'}`).join('\n')}
+
+` : ''}${toolsData.states?.length ? `## Menus, Dialogs and Tabs
+
+These tools open the listed toggles first:
+
+${toolsData.states.map(state => `- ${state.path.map(name => `"${name}"`).join(' > ')}: ${state.tools.map(name => `\`${name}\``).join(', ') || '(no tools)'}`).join('\n')}
+
+` : ''}## Installation
 
 \`\`\`bash
 cd ${packageName}
 npm install
+npx playwright install ${browser.engine}
 npm start
 \`\`\`
 
+## Browser Settings
+
+Replays with the settings it was generated with (\`generated.browser\` in package.json):
+${browser.engine}, ${browser.headless ? 'headless' : 'headed'}, ${browser.viewport.width}x${browser.viewport.height}${browser.locale ? `, ${browser.locale}` : ''}${browser.timezoneId ? `, ${browser.timezoneId}` : ''}.
+${browser.proxy ? `Proxy ${browser.proxy.server} - set \`PROXY_USERNAME\`/\`PROXY_PASSWORD\` if it needs credentials.
+` : ''}${browser.secretHeaders?.length ? `Set ${browser.secretHeaders.map(name => `\`${headerEnvVar(name)}\``).join(', ')} to send the ${browser.secretHeaders.join(', ')} header${browser.secretHeaders.length > 1 ? 's' : ''}.
+` : ''}
+## Policy
+
+Tools refuse anything outside the policy they were generated with:
+
+- Allowed domains: ${policy.allowedDomains.join(', ') || 'any'}
+- Blocked domains: ${policy.blockedDomains.join(', ') || 'none'}
+- robots.txt: ${policy.robots ? `honored${policy.userAgent !== '*' ? ` for user agent ${policy.userAgent}` : ''}` : 'ignored'}
+- Rate limit: ${policy.maxRequestsPerSecond ? `${policy.maxRequestsPerSecond} requests per second per host` : 'none'}
+- Forbidden actions: ${policy.forbiddenActions.join(', ')}
+
 ## Claude Desktop Configuration
 
 \`\`\`json
@@ -249,12 +501,141 @@ npm start
 }
 \`\`\`
 
-Generated by Universal MCP Generator - ${new Date().toISOString()}
+Generated by Universal MCP Generator - ${generatedAt}
 `;
 
     await fs.writeFile(path.join(packageDir, 'README.md'), readme);
   }
 
+  /**
+   * Read the package registry manifest
+   *
+   * A missing manifest is an empty registry; an unreadable or corrupt one
+   * is an error, so it is never overwritten with the packages forgotten.
+   */
+  async readRegistry() {
+    try {
+      return JSON.parse(await fs.readFile(this.registryPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: 1, packages: {} };
+      }
+      throw new Error(`Invalid package registry ${this.registryPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the package registry manifest
+   */
+  async writeRegistry(registry) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(this.registryPath, JSON.stringify(registry, null, 2));
+  }
+
+  /**
+   * Apply a change to the registry and persist it, one update at a time
+   *
+   * Concurrent runs share the packager, so read-modify-write cycles must not
+   * interleave. Resolves to what `mutate` returns; nothing is written when it
+   * returns null.
+   */
+  updateRegistry(mutate) {
+    const update = this.registryQueue.then(async () => {
+      const registry = await this.readRegistry();
+      const result = mutate(registry);
+      if (result !== null) {
+        await this.writeRegistry(registry);
+      }
+      return result;
+    });
+    this.registryQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Add or refresh a package entry, keeping its previous deploy status
+   */
+  async registerPackage(entry) {
+    return this.updateRegistry(registry => {
+      registry.packages[entry.packageName] = {
+        deployStatus: 'not_deployed',
+        deployedAt: null,
+        ...registry.packages[entry.packageName],
+        ...entry
+      };
+      return registry.packages[entry.packageName];
+    });
+  }
+
+  /**
+   * Record the outcome of deploying a package to Claude Desktop
+   */
+  async recordDeployment(packageName, deployResult) {
+    return this.updateRegistry(registry => {
+      const entry = registry.packages[packageName];
+      if (!entry) return null;
+
+      if (deployResult.success) {
+        entry.deployStatus = 'deployed';
+        entry.deployedAt = new Date().toISOString();
+        entry.serverName = deployResult.serverName;
+        delete entry.deployError;
+      } else {
+        entry.deployStatus = 'failed';
+        entry.deployError = deployResult.error;
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * Mark a package as removed from Claude Desktop
+   */
+  async recordUndeployment(packageName) {
+    return this.updateRegistry(registry => {
+      const entry = registry.packages[packageName];
+      if (!entry) return null;
+
+      entry.deployStatus = 'not_deployed';
+      entry.deployedAt = null;
+      delete entry.serverName;
+      delete entry.deployError;
+      return entry;
+    });
+  }
+
+  /**
+   * List registered packages plus directories missing from the registry
+   */
+  async listPackages(filter = {}) {
+    const registry = await this.readRegistry();
+
+    let directories = [];
+    try {
+      const entries = await fs.readdir(this.outputDir, { withFileTypes: true });
+      directories = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      // Output directory not created yet
+    }
+
+    const site = filter.site?.toLowerCase();
+    const packages = Object.values(registry.packages)
+      .filter(entry => !site ||
+        entry.siteName.toLowerCase().includes(site) ||
+        (entry.sourceUrl || '').toLowerCase().includes(site))
+      .map(entry => ({ ...entry, missing: !directories.includes(entry.packageName) }))
+      .sort((a, b) => filter.sort === 'oldest'
+        ? a.generatedAt.localeCompare(b.generatedAt)
+        : b.generatedAt.localeCompare(a.generatedAt));
+
+    const orphans = directories
+      .filter(name => !registry.packages[name])
+      .filter(name => !site || name.toLowerCase().includes(site))
+      .map(name => ({ packageName: name, path: path.join(this.outputDir, name) }));
+
+    return { packages, orphans };
+  }
+
   capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
@@ -3,129 +3,726 @@
  * Coordinates the entire automation generation pipeline
  */
 
-import { chromium } from 'playwright';
+import fs from 'fs/promises';
 import { VisionAnalyzer } from './vision-analyzer.js';
 import { AuthManager } from './auth-manager.js';
 import { InterfaceMapper } from './interface-mapper.js';
 import { ToolGenerator } from './tool-generator.js';
 import { NPMPackager } from './npm-packager.js';
 import { ConfigUpdater } from './config-updater.js';
+import { RunStore } from './run-store.js';
+import { StageRegistry, loadPlugins } from './stage-registry.js';
+import { SiteCrawler } from './site-crawler.js';
+import { StateExplorer } from './state-explorer.js';
+import { NetworkRecorder } from './network-recorder.js';
+import { logger, withRunContext } from './logger.js';
+import { retry, withTimeout, resolveStagePolicy } from './retry.js';
+import { waitForPageReady } from './page-ready.js';
+import { DomainPolicy, PolicyViolationError } from './domain-policy.js';
+import { pageFetch } from './robots.js';
+import { BrowserPool } from './browser-pool.js';
+import { resolveBrowserOptions, contextOptions, recordableBrowserOptions, recordableOptions } from './browser-options.js';
+
+const HAR_ARTIFACT = 'network.har.zip';
+const SNAPSHOT_ARTIFACT = 'snapshot.html';
+
+/**
+ * Built-in pipeline stages in execution order; plugins can add more
+ */
+export const PIPELINE_STAGES = ['browser', 'navigate', 'auth', 'vision', 'mapping', 'explore', 'crawl', 'network', 'tools', 'package', 'deploy'];
 
 export class Orchestrator {
-  constructor() {
+  constructor(config = {}) {
     this.visionAnalyzer = new VisionAnalyzer();
     this.authManager = new AuthManager();
     this.interfaceMapper = new InterfaceMapper();
     this.toolGenerator = new ToolGenerator();
-    this.npmPackager = new NPMPackager();
-    this.configUpdater = new ConfigUpdater();
+    // Servers share one packager and updater so concurrent runs queue their registry and config writes
+    this.npmPackager = config.npmPackager || new NPMPackager({ outputDir: config.outputDir });
+    this.configUpdater = config.configUpdater || new ConfigUpdater();
+    this.statsStore = config.statsStore || null;
+    this.runStore = config.runStore || new RunStore();
+    this.logger = config.logger || logger.child('orchestrator');
+    this.pluginsConfig = config.pluginsConfig;
+    this.pluginsLoaded = null;
+
+    this.stageRegistry = new StageRegistry();
+    for (const stage of this.builtinStages()) {
+      this.stageRegistry.register(stage);
+    }
     
+    // Standalone orchestrators get a private single-run pool; servers share one
+    this.browserPool = config.browserPool || new BrowserPool({ maxConcurrency: 1, idleTimeout: 0 });
+    this.lease = null;
     this.browser = null;
     this.page = null;
+    this.networkRecorder = null;
+    this.abandonedStage = null;
+  }
+
+  /**
+   * Built-in stage definitions in execution order
+   *
+   * `live` stages need the browser page, `inputs` are the pipeline fields a
+   * stage reads and `output`/`artifact` name the checkpoint it writes.
+   * `timeout` and `retries` are the default policy; an `optional` stage that
+   * still fails degrades to its `fallback` output with a warning.
+   */
+  builtinStages() {
+    return [
+      {
+        name: 'browser',
+        live: true,
+        timeout: 60000,
+        retries: 1,
+        message: () => '🌐 Initializing Browser Session...',
+        run: (pipeline) => this.initializeBrowser(pipeline.options, pipeline.recording, pipeline.context?.signal)
+      },
+      {
+        name: 'navigate',
+        live: true,
+        output: 'navigation',
+        artifact: 'navigation.json',
+        timeout: 60000,
+        retries: 2,
+        message: (pipeline) => `📍 Navigating to ${pipeline.url}...`,
+        run: async (pipeline) => {
+          await pipeline.policy.enforceNavigation(pipeline.url, { stage: 'navigate' });
+          const readiness = await this.navigateToSite(pipeline.url, pipeline.options.navigation);
+
+          // Redirects can land somewhere the policy forbids
+          const violation = pipeline.policy.checkUrl(this.page.url());
+          if (violation) {
+            throw pipeline.policy.block(violation, { stage: 'navigate' });
+          }
+          if (pipeline.recording && !pipeline.recording.replay) {
+            await this.runStore.saveFile(pipeline.runId, SNAPSHOT_ARTIFACT, await this.page.content());
+          }
+          return { finalUrl: this.page.url(), readiness };
+        }
+      },
+      {
+        name: 'auth',
+        live: true,
+        output: 'authResult',
+        artifact: 'auth-result.json',
+        timeout: 90000,
+        optional: true,
+        skip: (pipeline) => pipeline.options.skipAuth,
+        message: () => '🔐 Analyzing Authentication Requirements...',
+        run: async (pipeline) => {
+          const authResult = await this.handleAuthentication(pipeline.url);
+          if (!authResult.success) {
+            throw new Error(`Authentication not completed: ${authResult.error}`);
+          }
+          return authResult;
+        },
+        fallback: (pipeline, error) => ({ success: false, degraded: true, error: error.message })
+      },
+      {
+        name: 'vision',
+        live: true,
+        output: 'visionResult',
+        artifact: 'vision-result.json',
+        timeout: 60000,
+        retries: 1,
+        optional: true,
+        message: () => '👁️ Running Vision Analysis...',
+        run: (pipeline) => this.runVisionAnalysis({
+          onWarning: (message) => this.warn(pipeline, message)
+        }),
+        fallback: (pipeline, error) => this.visionAnalyzer.createFallbackAnalysis(error)
+      },
+      {
+        name: 'mapping',
+        live: true,
+        output: 'interfaceMap',
+        artifact: 'interface-map.json',
+        timeout: 30000,
+        retries: 1,
+        message: () => '🗺️ Mapping Interface Elements...',
+        run: () => this.mapInterface()
+      },
+      {
+        name: 'explore',
+        live: true,
+        inputs: ['navigation', 'interfaceMap'],
+        output: 'stateMap',
+        artifact: 'state-map.json',
+        timeout: 180000,
+        optional: true,
+        skip: (pipeline) => !pipeline.options.explore,
+        message: () => '🧭 Exploring Menus, Dialogs and Tabs...',
+        run: (pipeline, orchestrator, control) => this.exploreStates(pipeline, control),
+        fallback: (pipeline, error) => ({
+          url: pipeline.navigation.finalUrl,
+          states: [],
+          skipped: [],
+          unexplored: [],
+          error: error.message
+        })
+      },
+      {
+        name: 'crawl',
+        live: true,
+        inputs: ['navigation', 'interfaceMap'],
+        output: 'siteMap',
+        artifact: 'site-map.json',
+        timeout: 300000,
+        optional: true,
+        skip: (pipeline) => !pipeline.options.crawl,
+        message: () => '🕸️ Crawling Site...',
+        run: (pipeline, orchestrator, control) => this.crawlSite(pipeline, control),
+        // Keep the landing page so tool generation still sees a site map
+        fallback: (pipeline, error) => {
+          const { finalUrl } = pipeline.navigation;
+          const { pathname, search } = new URL(finalUrl);
+          return {
+            startUrl: finalUrl,
+            pages: [{ url: finalUrl, route: pathname + search, depth: 0, source: 'start', interfaceMap: pipeline.interfaceMap }],
+            skipped: [],
+            unvisited: [],
+            error: error.message
+          };
+        }
+      },
+      {
+        name: 'network',
+        live: true,
+        inputs: ['navigation'],
+        output: 'apiMap',
+        artifact: 'api-map.json',
+        timeout: 15000,
+        optional: true,
+        skip: (pipeline) => pipeline.options.network === false,
+        message: () => '📡 Analyzing Captured API Traffic...',
+        run: (pipeline) => this.discoverApi(pipeline),
+        fallback: (pipeline, error) => ({ siteUrl: pipeline.navigation.finalUrl, recorded: 0, endpoints: [], error: error.message })
+      },
+      {
+        name: 'tools',
+        inputs: ['navigation', 'interfaceMap', 'visionResult', 'stateMap', 'siteMap', 'apiMap'],
+        output: 'tools',
+        artifact: 'tools.json',
+        timeout: 60000,
+        message: () => '🔧 Generating MCP Tools...',
+        run: async (pipeline) => this.applyActionPolicy(pipeline, await this.generateTools(
+          pipeline.interfaceMap, pipeline.visionResult, pipeline.navigation.finalUrl, {
+            siteMap: pipeline.siteMap,
+            stateMap: pipeline.stateMap,
+            apiMap: pipeline.apiMap,
+            generatedAt: pipeline.generatedAt
+          }
+        ))
+      },
+      {
+        name: 'package',
+        inputs: ['tools'],
+        output: 'packageResult',
+        artifact: 'package-result.json',
+        timeout: 30000,
+        message: () => '📦 Creating NPM Package...',
+        run: async (pipeline) => {
+          const packageResult = await this.createPackage(pipeline.siteName, pipeline.tools, pipeline);
+          if (!packageResult.success) {
+            throw new Error(`Package creation failed: ${packageResult.error}`);
+          }
+          return packageResult;
+        }
+      },
+      {
+        name: 'deploy',
+        inputs: ['packageResult'],
+        output: 'deployResult',
+        artifact: 'deploy-result.json',
+        timeout: 30000,
+        skip: (pipeline) => pipeline.options.autoDeploy === false,
+        message: () => '🚀 Deploying to Claude Desktop...',
+        run: (pipeline) => this.deployToClaudeDesktop(pipeline.siteName, pipeline.packageResult)
+      }
+    ];
+  }
+
+  /**
+   * Registered stages in execution order, including plugin stages
+   */
+  getStages() {
+    return this.stageRegistry.list();
+  }
+
+  /**
+   * Load the plugins from the plugin config file once
+   *
+   * A failed load is not cached, so the next run tries again.
+   */
+  loadPlugins() {
+    if (!this.pluginsLoaded) {
+      this.pluginsLoaded = loadPlugins(this.stageRegistry, this.pluginsConfig).catch((error) => {
+        this.pluginsLoaded = null;
+        throw error;
+      });
+    }
+    return this.pluginsLoaded;
   }
 
   /**
    * Main orchestration method - generates complete MCP package
+   *
+   * `context.onStep` is called with every logged step, `context.onWarning`
+   * with non-fatal problems and `context.signal` (an AbortSignal) stops the
+   * pipeline before its next step.
+   *
+   * Live runs record a HAR and DOM snapshot unless `options.record` is false;
+   * `options.replay` (a run id) serves that recording instead of the network.
+   */
+  async generateAutomation(url, siteName, options = {}, context = {}) {
+    const pipeline = this.createPipeline(this.runStore.generateRunId(), url, siteName, options, context);
+
+    return this.runPipeline(pipeline, 0, async () => {
+      if (options.replay) {
+        await this.prepareReplay(pipeline, options.replay);
+      } else if (options.record !== false) {
+        pipeline.recording = {
+          runId: pipeline.runId,
+          browser: recordableBrowserOptions(resolveBrowserOptions(options))
+        };
+      }
+
+      await this.runStore.createRun(pipeline.runId, {
+        url: pipeline.url,
+        siteName: pipeline.siteName,
+        // Credentials stay out of run.json; resuming reads them from the environment
+        options: recordableOptions(pipeline.options),
+        generatedAt: pipeline.generatedAt,
+        recording: pipeline.recording,
+        status: 'running',
+        completedStages: []
+      });
+      await this.loadPlugins();
+    });
+  }
+
+  /**
+   * Point a pipeline at another run's recording
+   *
+   * The replay reuses the recorded run's URL, site name, options, browser
+   * settings and generation timestamp, so it regenerates the same package.
+   */
+  async prepareReplay(pipeline, sourceRunId) {
+    const source = await this.runStore.getRun(sourceRunId);
+    if (!source?.recording) {
+      throw new Error(`Run ${sourceRunId} has no recording to replay`);
+    }
+
+    const { replay, record, ...overrides } = pipeline.options;
+    pipeline.url = pipeline.url || source.url;
+    pipeline.siteName = pipeline.siteName || source.siteName;
+    pipeline.options = {
+      ...source.options,
+      ...overrides,
+      browser: source.recording.browser,
+      replay
+    };
+    pipeline.generatedAt = source.generatedAt;
+    pipeline.recording = { ...source.recording, replay: true };
+  }
+
+  /**
+   * Resume a run from its first incomplete stage, or from `options.fromStage`
+   *
+   * Browser state cannot be checkpointed, so resuming at a live stage reruns
+   * the pipeline from browser launch; later stages restart from saved outputs
+   * without touching the site.
+   */
+  async resumeRun(runId, options = {}, context = {}) {
+    const run = await this.runStore.getRun(runId);
+    if (!run) {
+      throw new Error(`Unknown run: ${runId}`);
+    }
+
+    await this.loadPlugins();
+    const stages = this.getStages();
+    const completed = run.completedStages || [];
+    let startIndex = options.fromStage
+      ? this.stageRegistry.indexOf(options.fromStage)
+      : stages.findIndex(stage => !completed.includes(stage.name));
+
+    if (startIndex === -1) {
+      throw new Error(`Run ${runId} already completed every stage - pass fromStage to rerun one`);
+    }
+    if (stages[startIndex].live) {
+      startIndex = 0;
+    }
+
+    const pipeline = this.createPipeline(runId, run.url, run.siteName, { ...run.options, ...options.overrides }, context);
+    pipeline.generatedAt = run.generatedAt || pipeline.generatedAt;
+    pipeline.recording = run.recording;
+    pipeline.completedStages = completed.filter(name =>
+      stages.findIndex(stage => stage.name === name) < startIndex
+    );
+    pipeline.stageStatus = Object.fromEntries(Object.entries(run.stages || {})
+      .filter(([name]) => pipeline.completedStages.includes(name)));
+
+    // Restore the outputs of the stages that will not run again
+    for (const stage of stages.slice(0, startIndex)) {
+      if (!stage.output) continue;
+      const saved = await this.runStore.readArtifact(runId, stage.artifact);
+      if (saved !== null) {
+        pipeline[stage.output] = saved;
+      }
+    }
+
+    const missing = stages.slice(startIndex)
+      .flatMap(stage => stage.inputs || [])
+      .filter(input => stages.slice(0, startIndex).some(stage => stage.output === input))
+      .filter(input => pipeline[input] === undefined && !this.isSkippedOutput(stages, input, pipeline));
+    if (missing.length > 0) {
+      throw new Error(`Run ${runId} has no checkpoint for ${[...new Set(missing)].join(', ')}`);
+    }
+
+    return this.runPipeline(pipeline, startIndex, async () => {
+      await this.runStore.updateRun(runId, {
+        status: 'running',
+        resumedFrom: stages[startIndex].name,
+        resumes: (run.resumes || 0) + 1
+      });
+      await this.log(pipeline, `♻️ Resuming run ${runId} from ${stages[startIndex].name}`);
+    });
+  }
+
+  /**
+   * Is a pipeline field the output of a stage that was skipped on purpose?
    */
-  async generateAutomation(url, siteName, options = {}) {
-    const pipeline = {
+  isSkippedOutput(stages, output, pipeline) {
+    const stage = stages.find(candidate => candidate.output === output);
+    return !!stage?.skip?.(pipeline);
+  }
+
+  createPipeline(runId, url, siteName, options, context) {
+    return {
+      runId,
       url,
       siteName,
       options,
+      context,
       startTime: Date.now(),
-      steps: []
+      generatedAt: new Date().toISOString(),
+      steps: [],
+      warnings: [],
+      completedStages: [],
+      stageStatus: {}
     };
+  }
 
+  /**
+   * Run stages from `startIndex`, checkpointing each stage's output
+   */
+  async runPipeline(pipeline, startIndex, prepare) {
+    return withRunContext({ runId: pipeline.runId }, () => this.executePipeline(pipeline, startIndex, prepare));
+  }
+
+  async executePipeline(pipeline, startIndex, prepare) {
+    this.abandonedStage = null;
     try {
-      // Step 1: Initialize Browser
-      await this.log(pipeline, '🌐 Initializing Browser Session...');
-      await this.initializeBrowser();
-
-      // Step 2: Navigate to Website  
-      await this.log(pipeline, `📍 Navigating to ${url}...`);
-      await this.navigateToSite(url);
-
-      // Step 3: Handle Authentication (if not skipped)
-      if (!options.skipAuth) {
-        await this.log(pipeline, '🔐 Analyzing Authentication Requirements...');
-        const authResult = await this.handleAuthentication(url);
-        pipeline.authResult = authResult;
+      await prepare();
+      Object.keys(pipeline.options.stages || {}).forEach(name => this.stageRegistry.indexOf(name));
+      pipeline.policy = this.createPolicy(pipeline);
+
+      // Wait for a browser slot before the first stage, so queueing does not count against stage timeouts
+      if (this.getStages().slice(startIndex).some(stage => stage.live && !stage.skip?.(pipeline))) {
+        await this.acquireBrowser(pipeline);
       }
+      this.logger.debug('Pipeline started', {
+        url: pipeline.url,
+        siteName: pipeline.siteName,
+        fromStage: this.getStages()[startIndex]?.name
+      });
 
-      // Step 4: Vision Analysis
-      await this.log(pipeline, '👁️ Running Vision Analysis...');
-      const visionResult = await this.runVisionAnalysis();
-      pipeline.visionResult = visionResult;
+      for (const stage of this.getStages().slice(startIndex)) {
+        if (stage.skip?.(pipeline)) {
+          pipeline.stageStatus[stage.name] = { status: 'skipped' };
+        } else {
+          pipeline.activeStep = { stage: stage.name, message: stage.message(pipeline) };
+          await this.log(pipeline, pipeline.activeStep.message, stage.name);
+          const output = await this.logger.span(stage.name, () => this.runStageWithPolicy(pipeline, stage), { stage: stage.name });
+          pipeline.activeStep = null;
 
-      // Step 5: Interface Mapping
-      await this.log(pipeline, '🗺️ Mapping Interface Elements...');
-      const interfaceMap = await this.mapInterface();
-      pipeline.interfaceMap = interfaceMap;
-
-      // Step 6: Generate MCP Tools
-      await this.log(pipeline, '🔧 Generating MCP Tools...');
-      const tools = await this.generateTools(interfaceMap, visionResult);
-      pipeline.tools = tools;
-
-      // Step 7: Create NPM Package
-      await this.log(pipeline, '📦 Creating NPM Package...');
-      const packageResult = await this.createPackage(siteName, tools, pipeline);
-      pipeline.packageResult = packageResult;
-
-      // Step 8: Deploy to Claude Desktop (if enabled)
-      if (options.autoDeploy !== false) {
-        await this.log(pipeline, '🚀 Deploying to Claude Desktop...');
-        const deployResult = await this.deployToClaudeDesktop(siteName, packageResult);
-        pipeline.deployResult = deployResult;
+          if (stage.output) {
+            pipeline[stage.output] = output;
+            await this.runStore.saveArtifact(pipeline.runId, stage.artifact, output);
+          }
+        }
+
+        pipeline.completedStages.push(stage.name);
+        await this.runStore.updateRun(pipeline.runId, { completedStages: pipeline.completedStages });
       }
 
       // Success!
       await this.log(pipeline, '✅ Universal MCP Generation Complete!');
-      return this.formatSuccess(pipeline);
+      const result = this.formatSuccess(pipeline);
+      await this.recordRun(pipeline, result);
+      await this.statsStore?.recordGeneration(result);
+      return result;
 
     } catch (error) {
-      await this.log(pipeline, `❌ Pipeline Failed: ${error.message}`);
-      return this.formatError(pipeline, error);
+      // Capture the stage that was running before the failure is logged
+      const failedStep = pipeline.activeStep || pipeline.steps[pipeline.steps.length - 1];
+      pipeline.failedAt = failedStep?.message || 'Unknown';
+      pipeline.failedStage = failedStep?.stage || 'unknown';
+      await this.log(pipeline, `❌ Pipeline Failed: ${error.message}`, undefined, {
+        error,
+        failedStage: pipeline.failedStage
+      });
+      const result = this.formatError(pipeline, error);
+      await this.recordRun(pipeline, result);
+      await this.statsStore?.recordGeneration(result);
+      return result;
+    } finally {
+      await this.cleanup();
+      await this.logger.flush();
+    }
+  }
+
+  /**
+   * Domain policy of a run from `options.policy`
+   *
+   * robots.txt is fetched through the run's page, so it uses the run's proxy
+   * and headers; replays skip it because their recording already passed.
+   */
+  createPolicy(pipeline) {
+    return new DomainPolicy({
+      ...pipeline.options.policy,
+      ...(pipeline.recording?.replay && { robots: false }),
+      fetch: (url) => pageFetch(this.page)(url)
+    });
+  }
+
+  /**
+   * Drop generated tools whose name, description or target names a forbidden action
+   */
+  applyActionPolicy(pipeline, toolsData) {
+    const blocked = new Set();
+    for (const tool of toolsData.tools) {
+      const text = [tool.name, tool.description, tool.href, tool.endpoint?.url].filter(Boolean).join(' ');
+      const violation = pipeline.policy.checkAction(text, tool.name);
+      if (violation) {
+        pipeline.policy.record(violation, { stage: 'tools' });
+        blocked.add(tool.name);
+      }
+    }
+    if (blocked.size === 0) {
+      return toolsData;
+    }
+
+    const tools = toolsData.tools.filter(tool => !blocked.has(tool.name));
+    return {
+      ...toolsData,
+      tools,
+      totalTools: tools.length,
+      states: toolsData.states?.map(state => ({ ...state, tools: state.tools.filter(name => !blocked.has(name)) })),
+      routes: toolsData.routes?.map(route => ({ ...route, tools: route.tools.filter(name => !blocked.has(name)) })),
+      blockedTools: [...blocked]
+    };
+  }
+
+  /**
+   * Run a stage under its timeout/retry policy, recording its status
+   *
+   * An optional stage that exhausts its retries degrades: the failure
+   * becomes a warning and the stage's fallback output is used instead.
+   */
+  async runStageWithPolicy(pipeline, stage) {
+    const policy = resolveStagePolicy(stage, pipeline.options.stages?.[stage.name]);
+    const signal = pipeline.context?.signal;
+    const started = Date.now();
+    let attempts = 0;
+
+    try {
+      const output = await retry(() => {
+        attempts++;
+        return withTimeout((control) => this.runStage(pipeline, stage, control), policy.timeout, `Stage ${stage.name}`, {
+          signal,
+          grace: policy.grace,
+          onAbandon: () => this.abandonPage(pipeline, stage)
+        });
+      }, {
+        ...policy,
+        signal,
+        // An abandoned attempt may still be running; retrying would race it
+        shouldRetry: (error) => !(error instanceof PolicyViolationError) && !error.abandoned,
+        onRetry: (error, attempt, delay) => this.log(pipeline,
+          `🔁 Retrying ${stage.name} in ${delay}ms (attempt ${attempt + 1}/${policy.retries + 1}): ${error.message}`)
+      });
+
+      pipeline.stageStatus[stage.name] = { status: 'ok', attempts, durationMs: Date.now() - started };
+      return output;
+    } catch (error) {
+      const status = { attempts, durationMs: Date.now() - started, error: error.message };
+      if (!policy.optional || signal?.aborted || error instanceof PolicyViolationError) {
+        pipeline.stageStatus[stage.name] = { status: 'failed', ...status };
+        throw error;
+      }
+
+      pipeline.stageStatus[stage.name] = { status: 'degraded', ...status };
+      await this.warn(pipeline, `${stage.name} degraded: ${error.message}`);
+      return stage.fallback?.(pipeline, error, this);
+    }
+  }
+
+  /**
+   * Stop a timed-out live stage that ignored its abort signal by closing its page
+   *
+   * Later live stages fail fast instead of driving the closed page.
+   */
+  async abandonPage(pipeline, stage) {
+    if (!stage.live) return;
+    this.abandonedStage = stage.name;
+    this.logger.warn(`⚠️ Stage ${stage.name} did not stop after its timeout, closing its page`, { stage: stage.name });
+    this.page = null;
+    await this.lease?.closeContext();
+  }
+
+  /**
+   * Run one stage with its before/after hooks
+   *
+   * `control.signal` aborts when the stage times out or the run is
+   * cancelled and `control.deadline` is when the stage times out; long
+   * stages check them between steps.
+   */
+  async runStage(pipeline, stage, control = {}) {
+    if (stage.live && this.abandonedStage) {
+      throw new Error(`Browser page was closed after stage ${this.abandonedStage} timed out`);
+    }
+    for (const hook of this.stageRegistry.hooksFor('before', stage.name)) {
+      await hook(pipeline, this);
+    }
+
+    let output = await stage.run(pipeline, this, control);
+
+    for (const hook of this.stageRegistry.hooksFor('after', stage.name)) {
+      const replaced = await hook(pipeline, output, this);
+      if (replaced !== undefined) {
+        output = replaced;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Analyze a site without generating tools - vision plus interface map
+   */
+  async analyzeInterface(url, options = {}) {
+    try {
+      await this.initializeBrowser(options);
+      const policy = new DomainPolicy({ ...options.policy, fetch: (target) => pageFetch(this.page)(target) });
+      await policy.enforceNavigation(url);
+      await this.navigateToSite(url, options.navigation);
+
+      const screenshot = await this.page.screenshot({ fullPage: false, type: 'png' });
+      let visionResult;
+      try {
+        visionResult = await this.visionAnalyzer.analyze(screenshot, this.page, {
+          method: options.visionMethod,
+          onWarning: options.onWarning
+        });
+      } catch (error) {
+        visionResult = this.visionAnalyzer.createFallbackAnalysis(error);
+        options.onWarning?.(visionResult.error);
+      }
+      const interfaceMap = await this.mapInterface();
+
+      return {
+        url,
+        finalUrl: this.page.url(),
+        visionResult,
+        interfaceMap,
+        screenshot
+      };
     } finally {
       await this.cleanup();
     }
   }
 
   /**
-   * Initialize Playwright browser with optimal settings
+   * Take a slot in the browser pool, queueing behind other runs when it is full
    */
-  async initializeBrowser() {
-    this.browser = await chromium.launch({
-      headless: false, // Show browser for debugging
-      args: [
-        '--disable-blink-features=AutomationControlled',
-        '--no-first-run',
-        '--disable-background-timer-throttling',
-      ]
+  async acquireBrowser(pipeline) {
+    this.lease = await this.browserPool.acquire({
+      signal: pipeline.context?.signal,
+      onQueued: (position) => this.log(pipeline, `⏳ Waiting for a browser slot (${position} queued)`).catch(() => {})
     });
+  }
+
+  /**
+   * Open the run's page in its own context of a pooled browser, with the
+   * run's engine and context settings
+   *
+   * With a `recording` the session is written to its run's HAR, or - when
+   * `recording.replay` is set - served from it with the network cut off.
+   */
+  async initializeBrowser(options = {}, recording = null, signal = undefined) {
+    const settings = resolveBrowserOptions(options);
+    const replaying = !!recording?.replay;
+
+    if (!this.lease) {
+      this.lease = await this.browserPool.acquire({ signal });
+    }
+    this.networkRecorder?.detach();
 
-    this.page = await this.browser.newPage({
-      viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    // Replays run headless so they work on CI whatever the recording used
+    this.page = await this.lease.newPage({ ...settings, headless: settings.headless || replaying }, {
+      ...contextOptions(settings),
+      ...(recording && !replaying
+        ? { recordHar: { path: this.runStore.artifactPath(recording.runId, HAR_ARTIFACT), mode: 'minimal' } }
+        : {})
     });
+    this.browser = this.lease.browser;
+
+    if (replaying) {
+      await this.routeFromRecording(recording);
+    }
+
+    // Record JSON XHR/fetch traffic for API discovery
+    this.networkRecorder = new NetworkRecorder();
+    this.networkRecorder.attach(this.page);
+  }
+
+  /**
+   * Serve every request from a recorded HAR, or the main document from the
+   * DOM snapshot when no HAR was saved; anything else is aborted
+   */
+  async routeFromRecording(recording) {
+    const harPath = this.runStore.artifactPath(recording.runId, HAR_ARTIFACT);
+    const snapshotPath = this.runStore.artifactPath(recording.runId, SNAPSHOT_ARTIFACT);
+
+    if (await fileExists(harPath)) {
+      await this.page.routeFromHAR(harPath, { notFound: 'abort' });
+      return;
+    }
+
+    if (await fileExists(snapshotPath)) {
+      const html = await fs.readFile(snapshotPath, 'utf8');
+      await this.page.route('**/*', (route) => route.request().isNavigationRequest()
+        ? route.fulfill({ status: 200, contentType: 'text/html', body: html })
+        : route.abort());
+      return;
+    }
 
-    // Enable request interception for advanced features
-    await this.page.route('**/*', (route) => route.continue());
+    throw new Error(`Recording of ${recording.runId} is missing - neither ${HAR_ARTIFACT} nor ${SNAPSHOT_ARTIFACT} was saved`);
   }
 
   /**
    * Navigate to target website with error handling
+   *
+   * Waits for `domcontentloaded`, then for `readySelector` and a quiet
+   * network (see waitForPageReady) rather than for `networkidle`, which
+   * never arrives on pages that poll. Returns how readiness was reached.
    */
-  async navigateToSite(url) {
+  async navigateToSite(url, options = {}) {
+    const { timeout = 30000, waitUntil = 'domcontentloaded', ...readiness } = options;
     try {
-      await this.page.goto(url, { 
-        waitUntil: 'networkidle',
-        timeout: 30000 
-      });
-      
-      // Wait for page to stabilize
-      await this.page.waitForTimeout(2000);
-      
+      await this.page.goto(url, { waitUntil, timeout });
+      return await waitForPageReady(this.page, readiness);
     } catch (error) {
       throw new Error(`Navigation failed: ${error.message}`);
     }
@@ -141,14 +738,14 @@ export class Orchestrator {
   /**
    * Run vision analysis with VisionCraft → YOLO fallback
    */
-  async runVisionAnalysis() {
+  async runVisionAnalysis(options = {}) {
     // Take screenshot for vision analysis
     const screenshot = await this.page.screenshot({ 
       fullPage: false, // Focus on viewport
       type: 'png' 
     });
 
-    return await this.visionAnalyzer.analyze(screenshot, this.page);
+    return await this.visionAnalyzer.analyze(screenshot, this.page, options);
   }
 
   /**
@@ -158,14 +755,79 @@ export class Orchestrator {
     return await this.interfaceMapper.mapElements(this.page);
   }
 
+  /**
+   * Expand the landing page's menus, dialogs, tabs and accordions and map what they reveal
+   *
+   * `options.explore` is `true` or the StateExplorer settings (maxToggles,
+   * maxDepth); `control` is the stage's abort signal and deadline.
+   */
+  async exploreStates(pipeline, control = {}) {
+    const explorer = new StateExplorer({
+      ...(typeof pipeline.options.explore === 'object' ? pipeline.options.explore : {}),
+      interfaceMapper: this.interfaceMapper,
+      policy: pipeline.policy
+    });
+
+    const stateMap = await explorer.explore(this.page, pipeline.navigation.finalUrl, pipeline.interfaceMap, {
+      ...control,
+      onState: (state) => this.log(pipeline, `🧭 "${state.trigger}" revealed ${state.interfaceMap.totalElements} elements`)
+    });
+
+    if (stateMap.unexplored.length > 0) {
+      await this.warn(pipeline, `Exploration stopped after ${stateMap.states.length} states, ${stateMap.unexplored.length} toggles not expanded`);
+    }
+    return stateMap;
+  }
+
+  /**
+   * Map the rest of the site by following links from the landing page
+   *
+   * `options.crawl` is `true` or the SiteCrawler settings (maxDepth,
+   * maxPages, include, exclude, sitemap); robots.txt follows the run's policy.
+   * `control` is the stage's abort signal and deadline.
+   */
+  async crawlSite(pipeline, control = {}) {
+    const crawler = new SiteCrawler({
+      ...(typeof pipeline.options.crawl === 'object' ? pipeline.options.crawl : {}),
+      interfaceMapper: this.interfaceMapper,
+      policy: pipeline.policy
+    });
+
+    const siteMap = await crawler.crawl(this.page, pipeline.navigation.finalUrl, pipeline.interfaceMap, {
+      ...control,
+      onPage: (entry) => this.log(pipeline, `🕸️ Mapped ${entry.route} (depth ${entry.depth})`)
+    });
+
+    if (siteMap.unvisited.length > 0) {
+      await this.warn(pipeline, `Crawl stopped at ${siteMap.pages.length} pages, ${siteMap.unvisited.length} links not visited`);
+    }
+    return siteMap;
+  }
+
+  /**
+   * Infer API endpoints from the XHR/fetch traffic recorded since browser launch
+   */
+  async discoverApi(pipeline) {
+    if (!this.networkRecorder) {
+      return { siteUrl: pipeline.navigation.finalUrl, recorded: 0, endpoints: [] };
+    }
+
+    const apiMap = await this.networkRecorder.summarize(pipeline.navigation.finalUrl, {
+      allowedDomains: pipeline.policy?.allowedDomains
+    });
+    await this.log(pipeline, `📡 ${apiMap.endpoints.length} API endpoints from ${apiMap.recorded} JSON requests`);
+    return apiMap;
+  }
+
   /**
    * Generate MCP tools based on interface analysis
    */
-  async generateTools(interfaceMap, visionResult) {
+  async generateTools(interfaceMap, visionResult, url, extras = {}) {
     return await this.toolGenerator.generateFromAnalysis(
       interfaceMap, 
       visionResult,
-      this.page.url()
+      url,
+      extras
     );
   }
 
@@ -180,22 +842,66 @@ export class Orchestrator {
    * Deploy to Claude Desktop using AppleScript
    */
   async deployToClaudeDesktop(siteName, packageResult) {
-    return await this.configUpdater.addToClaudeDesktop(siteName, packageResult);
+    const deployResult = await this.configUpdater.addToClaudeDesktop(siteName, packageResult);
+    await this.npmPackager.recordDeployment(packageResult.packageName, deployResult);
+    await this.statsStore?.recordDeployment(deployResult.success);
+    return deployResult;
   }
 
   /**
-   * Log pipeline step with timestamp
+   * Log pipeline step with timestamp and, when given, its stage position
    */
-  async log(pipeline, message) {
+  async log(pipeline, message, stage, fields = {}) {
     const timestamp = new Date().toLocaleTimeString();
     const step = {
       timestamp,
       message,
       elapsed: Date.now() - pipeline.startTime
     };
+
+    if (stage) {
+      step.stage = stage;
+      const names = this.stageRegistry.names();
+      step.stageIndex = names.indexOf(stage) + 1;
+      step.totalStages = names.length;
+    }
     
     pipeline.steps.push(step);
-    console.error(`[${timestamp}] ${message}`);
+    this.logger.log(fields.error ? 'error' : 'info', message, { stage, elapsed: step.elapsed, ...fields });
+    pipeline.context?.onStep?.(step);
+
+    if (pipeline.context?.signal?.aborted && !pipeline.failedAt) {
+      throw new Error('Pipeline cancelled');
+    }
+  }
+
+  /**
+   * Record a non-fatal pipeline warning
+   */
+  async warn(pipeline, message) {
+    pipeline.warnings.push(message);
+    this.logger.warn(`⚠️ ${message}`);
+    pipeline.context?.onWarning?.(message);
+  }
+
+  /**
+   * Store the final status of a run next to its artifacts
+   */
+  async recordRun(pipeline, result) {
+    try {
+      await this.runStore.updateRun(pipeline.runId, {
+        status: result.success ? 'completed' : 'failed',
+        packageName: result.packageName || null,
+        screenshotPath: pipeline.visionResult?.screenshotPath || null,
+        error: result.error || null,
+        failedAt: result.failedAt || null,
+        stages: pipeline.stageStatus,
+        violations: result.violations,
+        elapsedMs: result.elapsedMs
+      });
+    } catch (error) {
+      this.logger.error(`❌ Failed to record run ${pipeline.runId}: ${error.message}`, { error });
+    }
   }
 
   /**
@@ -203,17 +909,29 @@ export class Orchestrator {
    */
   formatSuccess(pipeline) {
     const elapsed = Date.now() - pipeline.startTime;
-    
+    const degraded = Object.keys(pipeline.stageStatus)
+      .filter(name => pipeline.stageStatus[name].status === 'degraded');
+
     return {
       success: true,
+      runId: pipeline.runId,
       siteName: pipeline.siteName,
       url: pipeline.url,
       elapsed: `${elapsed}ms`,
+      elapsedMs: elapsed,
       steps: pipeline.steps,
-      tools: pipeline.tools?.length || 0,
+      warnings: pipeline.warnings,
+      stages: pipeline.stageStatus,
+      degradedStages: degraded,
+      violations: pipeline.policy?.violations || [],
+      tools: pipeline.tools?.totalTools || 0,
+      packageName: pipeline.packageResult?.packageName,
       packagePath: pipeline.packageResult?.path,
       deployed: !!pipeline.deployResult?.success,
-      summary: `✅ Successfully generated MCP automation for ${pipeline.siteName} in ${elapsed}ms`
+      deployResult: pipeline.deployResult || null,
+      summary: degraded.length > 0
+        ? `⚠️ Generated MCP automation for ${pipeline.siteName} in ${elapsed}ms with degraded stages: ${degraded.join(', ')}`
+        : `✅ Successfully generated MCP automation for ${pipeline.siteName} in ${elapsed}ms`
     };
   }
 
@@ -221,24 +939,47 @@ export class Orchestrator {
    * Format error result with debugging info
    */
   formatError(pipeline, error) {
+    const elapsed = Date.now() - pipeline.startTime;
+
     return {
       success: false,
+      runId: pipeline.runId,
       error: error.message,
       siteName: pipeline.siteName,
       url: pipeline.url,
+      elapsed: `${elapsed}ms`,
+      elapsedMs: elapsed,
       steps: pipeline.steps,
-      failedAt: pipeline.steps[pipeline.steps.length - 1]?.message || 'Unknown'
+      warnings: pipeline.warnings,
+      failedAt: pipeline.failedAt || pipeline.steps[pipeline.steps.length - 1]?.message || 'Unknown',
+      failedStage: pipeline.failedStage || 'unknown',
+      completedStages: pipeline.completedStages,
+      stages: pipeline.stageStatus,
+      violations: pipeline.policy?.violations || []
     };
   }
 
   /**
-   * Cleanup browser resources
+   * Close the run's browser context and give its pool slot back
    */
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.page = null;
-    }
+    // Detach first so a cancel and the pipeline's own cleanup cannot race
+    const lease = this.lease;
+    this.lease = null;
+    this.browser = null;
+    this.page = null;
+    this.networkRecorder?.detach();
+
+    // Closing the context flushes a recorded HAR to disk
+    await lease?.release();
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
   }
 }
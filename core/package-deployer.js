@@ -0,0 +1,198 @@
+/**
+ * OpenWorldAgent - Package Deployer
+ * Validates and smoke-tests a generated package before adding it to Claude Desktop
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { NPMPackager } from './npm-packager.js';
+import { ConfigUpdater } from './config-updater.js';
+
+export class PackageDeployer {
+  constructor(config = {}) {
+    this.npmPackager = config.npmPackager || new NPMPackager();
+    this.configUpdater = config.configUpdater || new ConfigUpdater();
+    this.statsStore = config.statsStore || null;
+    this.smokeTestTimeout = config.smokeTestTimeout || 30000;
+  }
+
+  /**
+   * Validate, smoke test and deploy a package - stops at the first failed step
+   */
+  async deploy(packageName) {
+    const report = {
+      success: false,
+      packageName,
+      steps: [],
+      failedStep: null
+    };
+
+    const run = async (name, fn) => {
+      const started = Date.now();
+      try {
+        const detail = await fn();
+        report.steps.push({ name, success: true, elapsed: Date.now() - started, detail });
+        return detail;
+      } catch (error) {
+        report.steps.push({ name, success: false, elapsed: Date.now() - started, error: error.message });
+        report.failedStep = name;
+        throw error;
+      }
+    };
+
+    try {
+      const pkg = await run('resolve', () => this.resolvePackage(packageName));
+      report.packageName = pkg.packageName;
+      report.path = pkg.path;
+
+      await run('validate', () => this.validatePackage(pkg.path));
+      const smoke = await run('smoke_test', () => this.smokeTest(path.join(pkg.path, 'server.js')));
+      report.toolCount = smoke.toolCount;
+
+      const deployResult = await run('config', async () => {
+        const result = await this.configUpdater.addToClaudeDesktop(pkg.siteName, {
+          serverPath: path.join(pkg.path, 'server.js')
+        });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return result;
+      });
+
+      report.deployResult = deployResult;
+      report.success = true;
+      await this.npmPackager.recordDeployment(pkg.packageName, deployResult);
+    } catch (error) {
+      report.error = error.message;
+      if (report.failedStep === 'config') {
+        await this.npmPackager.recordDeployment(report.packageName, { success: false, error: error.message });
+      }
+    }
+
+    // A package that was not found or failed validation was never deployed
+    if (!['resolve', 'validate'].includes(report.failedStep)) {
+      await this.statsStore?.recordDeployment(report.success);
+    }
+
+    return report;
+  }
+
+  /**
+   * Remove a package from Claude Desktop config
+   */
+  async undeploy(packageName) {
+    const pkg = await this.resolvePackage(packageName);
+    const result = await this.configUpdater.removeFromClaudeDesktop(pkg.siteName);
+
+    if (result.success) {
+      await this.npmPackager.recordUndeployment(pkg.packageName);
+    }
+
+    return { ...result, packageName: pkg.packageName };
+  }
+
+  /**
+   * Find a package by name ("suno" or "suno-mcp") in the registry or output directory
+   */
+  async resolvePackage(packageName) {
+    const registry = await this.npmPackager.readRegistry();
+    const candidates = [packageName, `${packageName}-mcp`];
+
+    for (const name of candidates) {
+      const entry = registry.packages[name];
+      if (entry) {
+        return { packageName: name, siteName: entry.siteName, path: entry.path };
+      }
+    }
+
+    for (const name of candidates) {
+      const packageDir = path.join(this.npmPackager.outputDir, name);
+      try {
+        const stat = await fs.stat(packageDir);
+        if (stat.isDirectory()) {
+          return { packageName: name, siteName: name.replace(/-mcp$/, ''), path: packageDir };
+        }
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+
+    throw new Error(`Package not found: ${packageName} (looked in ${this.npmPackager.outputDir})`);
+  }
+
+  /**
+   * Check package.json, server.js and that dependencies are installed
+   */
+  async validatePackage(packageDir) {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid or missing package.json: ${error.message}`);
+    }
+
+    const mainFile = packageJson.main || 'server.js';
+    try {
+      await fs.access(path.join(packageDir, mainFile));
+    } catch (error) {
+      throw new Error(`Missing ${mainFile}`);
+    }
+
+    const dependencies = Object.keys(packageJson.dependencies || {});
+    const missing = [];
+    for (const dependency of dependencies) {
+      try {
+        await fs.access(path.join(packageDir, 'node_modules', dependency, 'package.json'));
+      } catch (error) {
+        missing.push(dependency);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Dependencies not installed: ${missing.join(', ')} (run npm install in ${packageDir})`);
+    }
+
+    return { name: packageJson.name, main: mainFile, dependencies };
+  }
+
+  /**
+   * Start the generated server over stdio and check it answers tools/list
+   */
+  async smokeTest(serverPath) {
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [serverPath],
+      stderr: 'ignore'
+    });
+    const client = new Client(
+      { name: 'openworldagent-deployer', version: '1.0.0' },
+      { capabilities: {} }
+    );
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Server did not answer tools/list within ${this.smokeTestTimeout}ms`)),
+        this.smokeTestTimeout
+      );
+    });
+
+    try {
+      const result = await Promise.race([
+        client.connect(transport).then(() => client.listTools()),
+        timeout
+      ]);
+
+      if (!result.tools || result.tools.length === 0) {
+        throw new Error('Server answered tools/list with no tools');
+      }
+
+      return { toolCount: result.tools.length, tools: result.tools.map(tool => tool.name) };
+    } finally {
+      clearTimeout(timer);
+      await transport.close().catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * OpenWorldAgent - Page Readiness
+ * Decides when a page has rendered enough to analyze, without fixed sleeps
+ */
+
+// Streams and media never "finish", so they do not keep the network busy
+const IGNORED_RESOURCE_TYPES = ['websocket', 'eventsource', 'media'];
+
+/**
+ * Wait until the page is ready after a `domcontentloaded` navigation
+ *
+ * With `readySelector` the selector must become visible (a missing element
+ * is an error). Then the network must be quiet - no request in flight -
+ * for `quietMs`; a page that never goes quiet (polling, analytics) is
+ * accepted after `settleTimeout`. Returns how readiness was reached.
+ */
+export async function waitForPageReady(page, options = {}) {
+  const { readySelector, quietMs = 500, settleTimeout = 10000 } = options;
+  const started = Date.now();
+
+  if (readySelector) {
+    await page.waitForSelector(readySelector, { state: 'visible', timeout: settleTimeout });
+  }
+
+  const remaining = Math.max(settleTimeout - (Date.now() - started), 0);
+  const quiet = await waitForNetworkQuiet(page, quietMs, remaining);
+  return { selector: !!readySelector, networkQuiet: quiet, waitedMs: Date.now() - started };
+}
+
+/**
+ * Resolve true once no request has been in flight for `quietMs`, or false at `timeout`
+ */
+export function waitForNetworkQuiet(page, quietMs, timeout) {
+  const inFlight = new Set();
+
+  return new Promise(resolve => {
+    let quietTimer = null;
+    let deadline = null;
+
+    const finish = (quiet) => {
+      clearTimeout(quietTimer);
+      clearTimeout(deadline);
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+      resolve(quiet);
+    };
+
+    const settle = () => {
+      clearTimeout(quietTimer);
+      if (inFlight.size === 0) {
+        quietTimer = setTimeout(() => finish(true), quietMs);
+      }
+    };
+
+    const onRequest = (request) => {
+      if (IGNORED_RESOURCE_TYPES.includes(request.resourceType())) return;
+      inFlight.add(request);
+      clearTimeout(quietTimer);
+    };
+
+    const onDone = (request) => {
+      // Requests that started before we attached are not tracked
+      if (inFlight.delete(request)) {
+        settle();
+      }
+    };
+
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onDone);
+    deadline = setTimeout(() => finish(false), timeout);
+    settle();
+  });
+}
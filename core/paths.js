@@ -0,0 +1,16 @@
+/**
+ * OpenWorldAgent - Paths
+ * Resolves the working directories shared by the generator components
+ */
+
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Base directory for generated packages, jobs and other runtime state
+ */
+export function getBaseDir() {
+  return process.env.MCP_BASE_DIR || path.join(os.homedir(), 'Desktop/universal-mcp-generator');
+}
@@ -0,0 +1,156 @@
+/**
+ * OpenWorldAgent - Resource Provider
+ * Exposes generated packages, screenshots and run artifacts as MCP resources
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const PACKAGE_FILES = {
+  'package.json': 'application/json',
+  'server.js': 'text/javascript',
+  'README.md': 'text/markdown'
+};
+
+const RUN_ARTIFACTS = {
+  'run.json': 'Run metadata',
+  'interface-map.json': 'Interface map',
+  'vision-result.json': 'Vision analysis result',
+  'state-map.json': 'Explored toggles and the elements they reveal',
+  'site-map.json': 'Crawled pages and their interface maps',
+  'api-map.json': 'API endpoints inferred from captured traffic',
+  'tools.json': 'Generated tool definitions'
+};
+
+export class ResourceProvider {
+  constructor(config = {}) {
+    this.npmPackager = config.npmPackager;
+    this.runStore = config.runStore;
+    this.visionAnalyzer = config.visionAnalyzer;
+  }
+
+  /**
+   * URI templates clients can fill in themselves
+   */
+  listTemplates() {
+    return [
+      {
+        uriTemplate: 'owa://packages/{name}/{file}',
+        name: 'Generated package file',
+        description: `Files of a generated package: ${Object.keys(PACKAGE_FILES).join(', ')}`
+      },
+      {
+        uriTemplate: 'owa://runs/{id}/{artifact}',
+        name: 'Pipeline run artifact',
+        description: `Artifacts of a pipeline run: ${Object.keys(RUN_ARTIFACTS).join(', ')}`,
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  /**
+   * Every concrete resource currently available
+   */
+  async listResources() {
+    const resources = [];
+
+    const { packages } = await this.npmPackager.listPackages();
+    for (const pkg of packages.filter(p => !p.missing)) {
+      for (const [file, mimeType] of Object.entries(PACKAGE_FILES)) {
+        resources.push({
+          uri: `owa://packages/${pkg.packageName}/${file}`,
+          name: `${pkg.packageName}/${file}`,
+          description: `${file} of ${pkg.packageName} (${pkg.sourceUrl})`,
+          mimeType
+        });
+      }
+    }
+
+    if (await this.visionAnalyzer.getLatestScreenshot()) {
+      resources.push({
+        uri: 'owa://screenshots/latest',
+        name: 'Latest screenshot',
+        description: 'Most recent screenshot saved by the vision analyzer',
+        mimeType: 'image/png'
+      });
+    }
+
+    for (const runId of await this.runStore.listRuns()) {
+      for (const artifact of await this.runStore.listArtifacts(runId)) {
+        if (!RUN_ARTIFACTS[artifact]) continue;
+        resources.push({
+          uri: `owa://runs/${runId}/${artifact}`,
+          name: `${runId}/${artifact}`,
+          description: `${RUN_ARTIFACTS[artifact]} for ${runId}`,
+          mimeType: 'application/json'
+        });
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async readResource(uri) {
+    const match = uri.match(/^owa:\/\/([^/]+)\/(.+)$/);
+    if (!match) {
+      throw new Error(`Unsupported resource URI: ${uri}`);
+    }
+
+    const [, kind, rest] = match;
+    const parts = rest.split('/');
+
+    if (kind === 'packages' && parts.length === 2) {
+      return this.readPackageFile(uri, parts[0], parts[1]);
+    }
+    if (kind === 'screenshots' && rest === 'latest') {
+      return this.readLatestScreenshot(uri);
+    }
+    if (kind === 'runs' && parts.length === 2) {
+      return this.readRunArtifact(uri, parts[0], parts[1]);
+    }
+
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  async readPackageFile(uri, packageName, file) {
+    const mimeType = PACKAGE_FILES[file];
+    if (!mimeType) {
+      throw new Error(`Unsupported package file: ${file}`);
+    }
+
+    const registry = await this.npmPackager.readRegistry();
+    const entry = registry.packages[packageName];
+    if (!entry) {
+      throw new Error(`Unknown package: ${packageName}`);
+    }
+
+    const text = await fs.readFile(path.join(entry.path, file), 'utf8');
+    return { contents: [{ uri, mimeType, text }] };
+  }
+
+  async readLatestScreenshot(uri) {
+    const screenshotPath = await this.visionAnalyzer.getLatestScreenshot();
+    if (!screenshotPath) {
+      throw new Error('No screenshot has been saved yet');
+    }
+
+    const blob = (await fs.readFile(screenshotPath)).toString('base64');
+    return { contents: [{ uri, mimeType: 'image/png', blob }] };
+  }
+
+  async readRunArtifact(uri, runId, artifact) {
+    if (!RUN_ARTIFACTS[artifact]) {
+      throw new Error(`Unsupported run artifact: ${artifact}`);
+    }
+
+    const data = await this.runStore.readArtifact(runId, artifact);
+    if (data === null) {
+      throw new Error(`Resource not found: ${uri}`);
+    }
+
+    return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * OpenWorldAgent - Retry
+ * Timeouts, retries with exponential backoff and per-stage policies
+ */
+
+// `grace` is how long a timed-out attempt gets to stop before its page is closed
+const DEFAULT_POLICY = { timeout: 60000, retries: 0, backoff: 1000, maxBackoff: 10000, grace: 10000, optional: false };
+
+export class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+/**
+ * Reject with a TimeoutError if `fn({ signal, deadline })` does not settle within `ms`
+ *
+ * `signal` aborts when the time is up (or `options.signal` aborts) and
+ * `deadline` is when that happens, so long-running work can stop early or
+ * wrap up in time. After a timeout the attempt gets `grace` ms to notice
+ * and settle; if it does not, `onAbandon()` runs (e.g. to close the page it
+ * drives) and the error is marked `abandoned`.
+ */
+export async function withTimeout(fn, ms, label = 'Operation', options = {}) {
+  const { signal, grace = 0, onAbandon } = options;
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) forwardAbort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  const deadline = ms ? Date.now() + ms : Infinity;
+  const work = Promise.resolve().then(() => fn({ signal: controller.signal, deadline }));
+  const settled = work.then(() => true, () => true);
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    if (ms) timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+  });
+  try {
+    return await Promise.race([work, timeout]);
+  } catch (error) {
+    if (error instanceof TimeoutError) {
+      controller.abort(error);
+      if (grace && !(await settledWithin(settled, grace))) {
+        error.abandoned = true;
+        await onAbandon?.();
+        await settledWithin(settled, grace);
+      }
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * Throw the reason of an aborted signal - for loops that check between steps
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new Error('Operation aborted');
+  }
+}
+
+function settledWithin(settled, ms) {
+  let timer;
+  return Promise.race([
+    settled,
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds or `retries` retries are used up
+ *
+ * Waits `backoff * 2^n` (capped at `maxBackoff`) between attempts and
+ * calls `onRetry(error, attempt, delay)` before each one. Gives up early
+ * when `signal` is aborted or `shouldRetry(error)` is false.
+ */
+export async function retry(fn, options = {}) {
+  const { retries = 0, backoff = 1000, maxBackoff = 10000, onRetry, signal, shouldRetry = () => true } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, backoff, maxBackoff);
+      await onRetry?.(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export function backoffDelay(attempt, backoff = 1000, maxBackoff = 10000) {
+  return Math.min(backoff * 2 ** attempt, maxBackoff);
+}
+
+/**
+ * Effective timeout/retry policy of a stage
+ *
+ * Stage definitions set their own defaults (`timeout`, `retries`,
+ * `optional`, ...); `overrides` - from `options.stages[name]` - win.
+ */
+export function resolveStagePolicy(stage, overrides = {}) {
+  const policy = { ...DEFAULT_POLICY };
+  for (const source of [stage, overrides]) {
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      if (source?.[key] !== undefined) {
+        policy[key] = source[key];
+      }
+    }
+  }
+
+  for (const key of ['timeout', 'retries', 'backoff', 'maxBackoff', 'grace']) {
+    if (!Number.isFinite(policy[key]) || policy[key] < 0) {
+      throw new Error(`Invalid ${key} for stage ${stage.name}: ${policy[key]}`);
+    }
+  }
+  return policy;
+}
@@ -0,0 +1,109 @@
+/**
+ * OpenWorldAgent - robots.txt
+ * Parses robots.txt rules and answers whether a path may be crawled
+ */
+
+export const FETCH_TIMEOUT = 5000;
+
+// parseRobotsTxt, isPathAllowed and fetchRobotsTxt are also embedded verbatim
+// in generated servers, so they may only use each other and FETCH_TIMEOUT.
+
+/**
+ * Parse robots.txt into the rules that apply to `userAgent`
+ *
+ * Uses the most specific matching user-agent group, falling back to `*`.
+ */
+export function parseRobotsTxt(text, userAgent = '*') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], allow: [], disallow: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow') && value) {
+      current[field].push(value);
+    } else if (current && field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+    groups.find(g => g.agents.includes('*'));
+
+  return {
+    allow: group?.allow || [],
+    disallow: group?.disallow || [],
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps
+  };
+}
+
+/**
+ * Is a path (with query string) allowed? The longest matching rule wins, allow on ties.
+ */
+export function isPathAllowed(rules, pathWithQuery) {
+  const robotsPattern = (pattern) => {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  };
+  const longest = (patterns) => Math.max(-1, ...patterns
+    .filter(pattern => robotsPattern(pattern).test(pathWithQuery))
+    .map(pattern => pattern.length));
+
+  return longest(rules.allow) >= longest(rules.disallow);
+}
+
+/**
+ * Fetch and parse an origin's robots.txt - a missing or unreachable file allows everything
+ */
+export async function fetchRobotsTxt(origin, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+
+  try {
+    const response = await fetchImpl(new URL('/robots.txt', origin).href, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    if (!response.ok) {
+      return parseRobotsTxt('');
+    }
+    return parseRobotsTxt(await response.text(), options.userAgent);
+  } catch (error) {
+    return parseRobotsTxt('');
+  }
+}
+
+/**
+ * fetch-like wrapper over a page's request context, so robots.txt and
+ * sitemaps are fetched with the run's proxy, headers and cookies
+ */
+export function pageFetch(page) {
+  return async (url) => {
+    const response = await page.request.get(url, { timeout: FETCH_TIMEOUT });
+    return { ok: response.ok(), text: () => response.text() };
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * OpenWorldAgent - Run Store
+ * Keeps the artifacts of each pipeline run under a stable run id
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getBaseDir } from './paths.js';
+
+export class RunStore {
+  constructor(config = {}) {
+    this.runsDir = config.runsDir || path.join(getBaseDir(), 'runs');
+  }
+
+  generateRunId() {
+    return `run_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Directory holding one run's artifacts
+   */
+  runDir(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid run id: ${runId}`);
+    }
+    return path.join(this.runsDir, runId);
+  }
+
+  /**
+   * Create a run and write its metadata
+   */
+  async createRun(runId, metadata) {
+    await fs.mkdir(this.runDir(runId), { recursive: true });
+    await this.updateRun(runId, { id: runId, createdAt: new Date().toISOString(), ...metadata });
+    return runId;
+  }
+
+  /**
+   * Merge fields into a run's metadata
+   */
+  async updateRun(runId, fields) {
+    const current = await this.getRun(runId) || {};
+    const updated = { ...current, ...fields, updatedAt: new Date().toISOString() };
+    await this.saveArtifact(runId, 'run.json', updated);
+    return updated;
+  }
+
+  /**
+   * Run metadata, or null if the run does not exist
+   */
+  async getRun(runId) {
+    return this.readArtifact(runId, 'run.json');
+  }
+
+  /**
+   * Save a JSON artifact for a run
+   */
+  async saveArtifact(runId, name, data) {
+    const runDir = this.runDir(runId);
+    await fs.mkdir(runDir, { recursive: true });
+    await fs.writeFile(path.join(runDir, name), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Path of a non-JSON artifact (HAR archive, DOM snapshot) in a run directory
+   */
+  artifactPath(runId, name) {
+    return path.join(this.runDir(runId), name);
+  }
+
+  /**
+   * Save a non-JSON artifact as-is
+   */
+  async saveFile(runId, name, content) {
+    await fs.mkdir(this.runDir(runId), { recursive: true });
+    await fs.writeFile(this.artifactPath(runId, name), content);
+  }
+
+  /**
+   * Read a JSON artifact, or null if it was never saved
+   */
+  async readArtifact(runId, name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.runDir(runId), name), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Artifact file names saved for a run
+   */
+  async listArtifacts(runId) {
+    try {
+      return (await fs.readdir(this.runDir(runId))).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * All run ids, newest first
+   */
+  async listRuns() {
+    try {
+      const entries = await fs.readdir(this.runsDir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .reverse();
+    } catch (error) {
+      return [];
+    }
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * OpenWorldAgent - Site Crawler
+ * Walks same-origin links breadth-first and maps every page it reaches
+ */
+
+import { pageFetch } from './robots.js';
+import { waitForPageReady } from './page-ready.js';
+import { throwIfAborted } from './retry.js';
+
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|dmg|exe|png|jpe?g|gif|svg|webp|ico|mp3|mp4|webm|mov|css|js|json|xml|txt)$/i;
+const MAX_SITEMAP_FILES = 10;
+const MAX_CRAWL_DELAY = 10;
+// Time kept back from a deadline to map the last page and return
+const DEADLINE_MARGIN = 15000;
+
+export class SiteCrawler {
+  constructor(config = {}) {
+    this.interfaceMapper = config.interfaceMapper;
+    this.maxDepth = config.maxDepth ?? 2;
+    this.maxPages = config.maxPages ?? 20;
+    this.include = (config.include || []).map(globToRegExp);
+    this.exclude = (config.exclude || []).map(globToRegExp);
+    this.sitemap = config.sitemap !== false;
+    this.navigationTimeout = config.navigationTimeout || 30000;
+    this.quietMs = config.quietMs ?? 500;
+    this.fetch = config.fetch;
+    this.policy = config.policy || null;
+  }
+
+  /**
+   * Crawl the site from the page the browser is on
+   *
+   * `startMap` is the interface map of `startUrl`, so the landing page is
+   * not mapped twice. `options.onPage` is called after each new page. The
+   * browser is taken back to `startUrl` at the end, for the later stages.
+   * robots.txt - its rules, Crawl-delay and sitemaps - comes from the policy,
+   * so it is honored exactly when the policy's `robots` setting is on.
+   * The crawl stops early - leaving the rest `unvisited` - when
+   * `options.deadline` comes close, and throws when `options.signal` aborts.
+   */
+  async crawl(page, startUrl, startMap, options = {}) {
+    const origin = new URL(startUrl).origin;
+    const fetchImpl = this.fetch || pageFetch(page);
+    const rules = (await this.policy?.robotsRules(startUrl)) || null;
+
+    const start = normalizeUrl(startUrl, origin);
+    const visited = new Set([start]);
+    const pages = [{ url: start, route: routeOf(start), depth: 0, source: 'start', interfaceMap: startMap }];
+    const skipped = [];
+    const queue = [];
+
+    const enqueue = async (href, depth, source) => {
+      const url = normalizeUrl(href, origin);
+      if (!url || visited.has(url) || depth > this.maxDepth) return;
+      visited.add(url);
+
+      const reason = await this.rejectReason(url);
+      if (reason) {
+        skipped.push({ url, reason });
+      } else {
+        queue.push({ url, depth, source });
+      }
+    };
+
+    for (const href of startMap?.navigation || []) {
+      await enqueue(href, 1, 'link');
+    }
+    if (this.sitemap) {
+      for (const url of await this.sitemapUrls(origin, rules?.sitemaps, fetchImpl)) {
+        await enqueue(url, 1, 'sitemap');
+      }
+    }
+
+    const { signal, deadline = Infinity } = options;
+    let moved = false;
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      throwIfAborted(signal);
+      if (deadline - Date.now() < DEADLINE_MARGIN + 1000) break;
+      const { url, depth, source } = queue.shift();
+
+      if (rules?.crawlDelay) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(rules.crawlDelay, MAX_CRAWL_DELAY) * 1000));
+      }
+      await this.policy?.throttle(url);
+      throwIfAborted(signal);
+
+      try {
+        moved = true;
+        const timeout = Math.min(this.navigationTimeout, deadline - Date.now() - DEADLINE_MARGIN);
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: Math.max(timeout, 1000) });
+        await waitForPageReady(page, { quietMs: this.quietMs, settleTimeout: 5000 });
+      } catch (error) {
+        skipped.push({ url, reason: `navigation failed: ${error.message}` });
+        continue;
+      }
+
+      // Redirects can leave the site or land on a page we already have
+      const finalUrl = normalizeUrl(page.url(), origin);
+      if (!finalUrl) {
+        skipped.push({ url, reason: 'redirected off-site' });
+        continue;
+      }
+      if (pages.some(existing => existing.url === finalUrl)) {
+        continue;
+      }
+      visited.add(finalUrl);
+
+      const interfaceMap = await this.interfaceMapper.mapElements(page);
+      const entry = { url: finalUrl, route: routeOf(finalUrl), depth, source, interfaceMap };
+      pages.push(entry);
+      await options.onPage?.(entry);
+
+      for (const href of interfaceMap.navigation || []) {
+        await enqueue(href, depth + 1, 'link');
+      }
+    }
+
+    if (moved) {
+      throwIfAborted(signal);
+      await this.returnTo(page, startUrl, deadline).catch(() => {});
+    }
+
+    return {
+      startUrl: start,
+      pages,
+      skipped,
+      unvisited: queue.map(item => item.url),
+      robots: rules && { disallow: rules.disallow, crawlDelay: rules.crawlDelay }
+    };
+  }
+
+  /**
+   * Load the landing page again, within what is left before the deadline
+   */
+  async returnTo(page, url, deadline) {
+    await this.policy?.throttle(url);
+    const timeout = Math.min(this.navigationTimeout, deadline - Date.now());
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: Math.max(timeout, 1000) });
+    await waitForPageReady(page, { quietMs: this.quietMs, settleTimeout: 5000 });
+  }
+
+  /**
+   * Why a same-origin URL is not crawled, or null if it is
+   */
+  async rejectReason(url) {
+    const { pathname, search } = new URL(url);
+    const route = pathname + search;
+
+    if (NON_PAGE_EXTENSIONS.test(pathname)) {
+      return 'not a page';
+    }
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(route))) {
+      return 'not included';
+    }
+    if (this.exclude.some(pattern => pattern.test(route))) {
+      return 'excluded';
+    }
+    if (await this.policy?.checkRobots(url)) {
+      return 'disallowed by robots.txt';
+    }
+
+    const violation = this.policy?.checkUrl(url);
+    if (violation) {
+      this.policy.record(violation, { stage: 'crawl' });
+      return `blocked by policy: ${violation.reason}`;
+    }
+    return null;
+  }
+
+  /**
+   * Page URLs listed in /sitemap.xml and the sitemaps named by robots.txt
+   */
+  async sitemapUrls(origin, robotsSitemaps = [], fetchImpl) {
+    const pending = [new URL('/sitemap.xml', origin).href, ...robotsSitemaps];
+    const seen = new Set();
+    const urls = [];
+
+    while (pending.length > 0 && seen.size < MAX_SITEMAP_FILES) {
+      const sitemapUrl = pending.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      let xml;
+      try {
+        const response = await fetchImpl(sitemapUrl);
+        if (!response.ok) continue;
+        xml = await response.text();
+      } catch (error) {
+        continue;
+      }
+
+      const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)].map(match => decodeXml(match[1]));
+      if (/<sitemapindex/i.test(xml)) {
+        pending.push(...locations);
+      } else {
+        urls.push(...locations);
+      }
+    }
+
+    return urls;
+  }
+}
+
+/**
+ * Absolute same-origin page URL without its fragment, or null for anything else
+ */
+function normalizeUrl(href, origin) {
+  try {
+    const url = new URL(href, origin);
+    if (!['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+      return null;
+    }
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function routeOf(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+/**
+ * `*` matches within one path segment, `**` across segments
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
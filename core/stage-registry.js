@@ -0,0 +1,163 @@
+/**
+ * OpenWorldAgent - Stage Registry
+ * Ordered pipeline stages that plugins can extend, replace and hook into
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getBaseDir } from './paths.js';
+
+export class StageRegistry {
+  constructor() {
+    this.stages = [];
+    this.hooks = { before: new Map(), after: new Map() };
+  }
+
+  /**
+   * Add a stage at the end of the pipeline, or `before`/`after` an existing one
+   */
+  register(stage, position = {}) {
+    const normalized = this.normalize(stage);
+    if (this.has(normalized.name)) {
+      throw new Error(`Stage already registered: ${normalized.name}`);
+    }
+
+    if (position.before) {
+      this.stages.splice(this.indexOf(position.before), 0, normalized);
+    } else if (position.after) {
+      this.stages.splice(this.indexOf(position.after) + 1, 0, normalized);
+    } else {
+      this.stages.push(normalized);
+    }
+    return this;
+  }
+
+  /**
+   * Replace a stage, keeping any field the replacement does not set
+   */
+  replace(name, stage) {
+    const index = this.indexOf(name);
+    this.stages[index] = this.normalize({ ...this.stages[index], ...stage, name });
+    return this;
+  }
+
+  /**
+   * Run `hook(pipeline, orchestrator)` before a stage
+   */
+  before(name, hook) {
+    return this.addHook('before', name, hook);
+  }
+
+  /**
+   * Run `hook(pipeline, output, orchestrator)` after a stage; a returned value replaces the output
+   */
+  after(name, hook) {
+    return this.addHook('after', name, hook);
+  }
+
+  addHook(when, name, hook) {
+    this.indexOf(name);
+    if (typeof hook !== 'function') {
+      throw new Error(`Hook for ${name} must be a function`);
+    }
+
+    const hooks = this.hooks[when].get(name) || [];
+    this.hooks[when].set(name, [...hooks, hook]);
+    return this;
+  }
+
+  hooksFor(when, name) {
+    return this.hooks[when].get(name) || [];
+  }
+
+  has(name) {
+    return this.stages.some(stage => stage.name === name);
+  }
+
+  indexOf(name) {
+    const index = this.stages.findIndex(stage => stage.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown stage: ${name} (stages: ${this.names().join(', ')})`);
+    }
+    return index;
+  }
+
+  names() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  /**
+   * Stages in execution order
+   */
+  list() {
+    return [...this.stages];
+  }
+
+  /**
+   * Validate a stage definition and fill in its defaults
+   */
+  normalize(stage) {
+    if (!stage?.name || !/^[\w-]+$/.test(stage.name)) {
+      throw new Error(`Invalid stage name: ${stage?.name}`);
+    }
+    if (typeof stage.run !== 'function') {
+      throw new Error(`Stage ${stage.name} has no run function`);
+    }
+
+    const artifact = stage.artifact || (stage.output ? `${stage.name}.json` : undefined);
+    if (artifact === 'run.json') {
+      throw new Error(`Stage ${stage.name} cannot write run.json`);
+    }
+
+    return {
+      ...stage,
+      artifact,
+      message: stage.message || (() => `🧩 Running ${stage.name}...`)
+    };
+  }
+}
+
+/**
+ * Plugin config path: OWA_PLUGINS_CONFIG or owa.plugins.json in the base directory
+ */
+export function getPluginsConfigPath() {
+  return process.env.OWA_PLUGINS_CONFIG || path.join(getBaseDir(), 'owa.plugins.json');
+}
+
+/**
+ * Load the plugins listed in a config file into a registry
+ *
+ * The config lists modules relative to itself, optionally with options:
+ *   { "plugins": ["./cookie-banner.js", { "module": "./rename-tools.js", "options": {} }] }
+ * Each module default-exports `register(registry, options)`. A missing
+ * config file means no plugins.
+ */
+export async function loadPlugins(registry, configPath = getPluginsConfigPath()) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Invalid plugin config ${configPath}: ${error.message}`);
+  }
+
+  const loaded = [];
+  for (const entry of config.plugins || []) {
+    const { module: specifier, options = {} } = typeof entry === 'string' ? { module: entry } : entry;
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    const plugin = await import(isPath
+      ? pathToFileURL(path.resolve(path.dirname(configPath), specifier)).href
+      : specifier);
+
+    const register = plugin.default || plugin.register;
+    if (typeof register !== 'function') {
+      throw new Error(`Plugin ${specifier} does not export a register function`);
+    }
+
+    await register(registry, options);
+    loaded.push(specifier);
+  }
+
+  return loaded;
+}
@@ -0,0 +1,254 @@
+/**
+ * OpenWorldAgent - State Explorer
+ * Opens menus, dialogs, tabs and accordions and maps the elements they reveal
+ */
+
+import { describeLocator, resolveLocator } from './locators.js';
+import { waitForPageReady } from './page-ready.js';
+import { throwIfAborted } from './retry.js';
+
+const DEFAULT_MAX_TOGGLES = 15;
+const DEFAULT_MAX_DEPTH = 2;
+// Time kept back from a deadline to expand one more toggle and reload
+const DEADLINE_MARGIN = 15000;
+
+export class StateExplorer {
+  constructor(config = {}) {
+    this.interfaceMapper = config.interfaceMapper;
+    this.maxToggles = config.maxToggles ?? DEFAULT_MAX_TOGGLES;
+    this.maxDepth = config.maxDepth ?? DEFAULT_MAX_DEPTH;
+    this.navigationTimeout = config.navigationTimeout || 30000;
+    this.quietMs = config.quietMs ?? 300;
+    this.policy = config.policy || null;
+  }
+
+  /**
+   * Expand the closed toggles of the page the browser is on, one at a time
+   *
+   * `startMap` is the interface map of `startUrl`. Each revealed state has
+   * the `path` of steps - a click, or a hover for popup triggers that open
+   * on hover - leading to it from a fresh page load, and an interface map of
+   * the elements that appeared. Toggles revealed by a state are explored in
+   * turn, up to `maxDepth` steps. The page is reloaded between toggles and
+   * left there. `options.onState` is called after each new state.
+   * Exploration stops early - leaving the rest `unexplored` - when
+   * `options.deadline` comes close, and throws when `options.signal` aborts.
+   */
+  async explore(page, startUrl, startMap, options = {}) {
+    const states = [];
+    const skipped = [];
+    const seen = new Set();
+    const elements = startMap.elements || [];
+    const known = new Set(elements.flatMap(elementKeys));
+    const queue = this.closedToggles(elements).map(element => ({ element, path: [], known }));
+    let attempts = 0;
+    let pristine = true;
+    const { signal, deadline = Infinity } = options;
+
+    while (queue.length > 0 && attempts < this.maxToggles) {
+      throwIfAborted(signal);
+      if (deadline - Date.now() < DEADLINE_MARGIN + this.navigationTimeout) break;
+      const { element, path, known } = queue.shift();
+      const step = toggleStep(element);
+
+      // The same toggle often shows up again in the states it opens
+      const key = elementKeys(element)[0];
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const reason = this.rejectReason(element, startUrl);
+      if (reason) {
+        skipped.push({ trigger: step.name, reason });
+        continue;
+      }
+
+      attempts++;
+      let result;
+      try {
+        if (!pristine) {
+          await this.reload(page, startUrl);
+        }
+        pristine = false;
+        await this.replay(page, path);
+        result = await this.reveal(page, step, known, startUrl);
+      } catch (error) {
+        skipped.push({ trigger: step.name, reason: `failed: ${error.message}` });
+        continue;
+      }
+
+      if (result.navigated) {
+        skipped.push({ trigger: step.name, reason: 'navigated away' });
+        continue;
+      }
+      if (result.revealed.length === 0) {
+        skipped.push({ trigger: step.name, reason: 'revealed nothing' });
+        continue;
+      }
+
+      const state = {
+        trigger: step.name,
+        path: [...path, step],
+        interfaceMap: this.interfaceMapper.categorizeElements({
+          elements: result.revealed,
+          totalElements: result.revealed.length,
+          forms: 0
+        })
+      };
+      states.push(state);
+      await options.onState?.(state);
+
+      if (state.path.length < this.maxDepth) {
+        const visible = new Set(result.elements.flatMap(elementKeys));
+        this.closedToggles(result.revealed)
+          .forEach(toggle => queue.push({ element: toggle, path: state.path, known: visible }));
+      }
+    }
+
+    if (!pristine) {
+      throwIfAborted(signal);
+      await this.reload(page, startUrl).catch(() => {});
+    }
+
+    return {
+      url: startUrl,
+      states,
+      skipped,
+      unexplored: queue.map(item => toggleStep(item.element).name)
+    };
+  }
+
+  /**
+   * Mapped toggles that are not open yet and can be located again
+   */
+  closedToggles(elements) {
+    return elements.filter(element => element.toggle && !element.toggle.open && element.locators?.length);
+  }
+
+  /**
+   * Why a toggle is not expanded, or null if it is safe to
+   */
+  rejectReason(element, pageUrl) {
+    const name = elementName(element);
+    if (!name) {
+      return 'no accessible name';
+    }
+    if (element.states?.disabled) {
+      return 'disabled';
+    }
+    if (element.href && stripHash(element.href) !== stripHash(pageUrl)) {
+      return 'links to another page';
+    }
+
+    const violation = this.policy?.checkAction(name);
+    if (violation) {
+      this.policy.record(violation, { stage: 'explore' });
+      return `blocked by policy: ${violation.reason}`;
+    }
+    return null;
+  }
+
+  /**
+   * Perform a step and return the elements that were not visible before it
+   *
+   * Popup triggers are hovered first and only clicked when hovering shows
+   * nothing; the step records the action that worked.
+   */
+  async reveal(page, step, known, pageUrl) {
+    const actions = step.kind === 'popup' ? ['hover', 'click'] : ['click'];
+    let elements = [];
+
+    for (const action of actions) {
+      await this.perform(page, { ...step, action });
+      if (stripHash(page.url()) !== stripHash(pageUrl)) {
+        return { navigated: true };
+      }
+
+      ({ elements } = await this.interfaceMapper.mapElements(page));
+      const revealed = elements.filter(element => !elementKeys(element).some(key => known.has(key)));
+      if (revealed.length > 0) {
+        step.action = action;
+        return { revealed, elements };
+      }
+    }
+    return { revealed: [], elements };
+  }
+
+  /**
+   * Perform the steps of a reveal path in order
+   */
+  async replay(page, path) {
+    for (const step of path) {
+      await this.perform(page, step);
+    }
+  }
+
+  /**
+   * Click or hover the step's element, then let the page settle
+   */
+  async perform(page, step) {
+    let root = page;
+    for (const selector of step.framePath) root = root.frameLocator(selector);
+    for (const selector of step.shadowHosts) root = root.locator(selector);
+
+    let target = null;
+    for (const locator of step.locators) {
+      const match = resolveLocator(root, locator);
+      if (await match.count() === 1) {
+        target = match;
+        break;
+      }
+    }
+    if (!target) {
+      throw new Error(`Element not found: ${step.locators.map(describeLocator).join(' | ')}`);
+    }
+
+    await target[step.action]({ timeout: 5000 });
+    await waitForPageReady(page, { quietMs: this.quietMs, settleTimeout: 3000 });
+  }
+
+  /**
+   * Load the start page again so the next path starts from its initial state
+   */
+  async reload(page, url) {
+    await this.policy?.throttle(url);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.navigationTimeout });
+    await waitForPageReady(page, { quietMs: this.quietMs, settleTimeout: 5000 });
+  }
+}
+
+/**
+ * Replayable step for a toggle: how to find it, where, and what it is
+ */
+function toggleStep(element) {
+  return {
+    name: elementName(element),
+    kind: element.toggle.kind,
+    action: 'click',
+    locators: element.locators,
+    framePath: element.framePath || [],
+    shadowHosts: element.shadowHosts || [],
+    frameUrl: element.frameUrl
+  };
+}
+
+/**
+ * Identities of an element that survive other content moving around it
+ *
+ * Test ids, roles, labels and attributes identify an element; CSS and XPath
+ * only count when there is nothing else, as they shift when content is
+ * inserted before the element.
+ */
+function elementKeys(element) {
+  const locators = element.locators || [];
+  const semantic = locators.filter(locator => !['css', 'xpath'].includes(locator.strategy));
+  const frame = (element.framePath || []).join(' >> ');
+  return (semantic.length > 0 ? semantic : locators).map(locator => `${frame}|${describeLocator(locator)}`);
+}
+
+function elementName(element) {
+  return element.accessibleName || element.text || '';
+}
+
+function stripHash(url) {
+  return url.split('#')[0];
+}
@@ -0,0 +1,112 @@
+/**
+ * OpenWorldAgent - Stats Store
+ * Persists generation, failure and deployment counters across restarts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getBaseDir } from './paths.js';
+
+export class StatsStore {
+  constructor(config = {}) {
+    this.statsPath = config.statsPath || path.join(getBaseDir(), 'stats.json');
+    this.stats = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Empty counters
+   */
+  createEmptyStats() {
+    return {
+      generations: { total: 0, succeeded: 0, failed: 0 },
+      failuresByStage: {},
+      deployments: { succeeded: 0, failed: 0 },
+      pipelineTime: { totalMs: 0, count: 0 },
+      lastGenerationAt: null
+    };
+  }
+
+  /**
+   * Load counters from disk
+   */
+  async load() {
+    if (this.stats) return this.stats;
+
+    try {
+      this.stats = { ...this.createEmptyStats(), ...JSON.parse(await fs.readFile(this.statsPath, 'utf8')) };
+    } catch (error) {
+      this.stats = this.createEmptyStats();
+    }
+
+    return this.stats;
+  }
+
+  /**
+   * Record a finished Orchestrator pipeline result
+   */
+  recordGeneration(result) {
+    return this.update(stats => {
+      stats.generations.total++;
+      stats.lastGenerationAt = new Date().toISOString();
+
+      if (result.success) {
+        stats.generations.succeeded++;
+        stats.pipelineTime.totalMs += result.elapsedMs || 0;
+        stats.pipelineTime.count++;
+      } else {
+        const stage = result.failedStage || 'unknown';
+        stats.generations.failed++;
+        stats.failuresByStage[stage] = (stats.failuresByStage[stage] || 0) + 1;
+      }
+    });
+  }
+
+  /**
+   * Record a Claude Desktop deployment attempt
+   */
+  recordDeployment(success) {
+    return this.update(stats => {
+      if (success) {
+        stats.deployments.succeeded++;
+      } else {
+        stats.deployments.failed++;
+      }
+    });
+  }
+
+  /**
+   * Counters plus derived averages
+   */
+  async summary() {
+    const stats = await this.load();
+    const { totalMs, count } = stats.pipelineTime;
+
+    return {
+      generations: { ...stats.generations },
+      failuresByStage: { ...stats.failuresByStage },
+      deployments: { ...stats.deployments },
+      averagePipelineMs: count > 0 ? Math.round(totalMs / count) : null,
+      lastGenerationAt: stats.lastGenerationAt
+    };
+  }
+
+  /**
+   * Apply a change and persist, one update at a time
+   */
+  update(mutate) {
+    this.queue = this.queue.then(async () => {
+      const stats = await this.load();
+      mutate(stats);
+
+      try {
+        await fs.mkdir(path.dirname(this.statsPath), { recursive: true });
+        await fs.writeFile(this.statsPath, JSON.stringify(stats, null, 2));
+      } catch (error) {
+        console.error(`❌ Failed to save stats: ${error.message}`);
+      }
+    });
+
+    return this.queue;
+  }
+}
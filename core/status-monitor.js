@@ -0,0 +1,118 @@
+/**
+ * OpenWorldAgent - Status Monitor
+ * Probes the generator's dependencies and reports persisted statistics
+ */
+
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { BROWSER_ENGINES, DEFAULT_BROWSER_ENGINE } from './browser-options.js';
+
+export class StatusMonitor {
+  constructor(config = {}) {
+    this.configUpdater = config.configUpdater;
+    this.authManager = config.authManager;
+    this.statsStore = config.statsStore;
+    this.jobManager = config.jobManager;
+    this.version = config.version || '1.0.0';
+  }
+
+  /**
+   * Run every probe and gather statistics
+   */
+  async getStatus() {
+    const [playwright, config, credentials] = await Promise.all([
+      this.probePlaywright(),
+      this.probeConfigWritable(),
+      this.probeCredentials()
+    ]);
+
+    const components = { playwright, vision: this.visionStatus(), config, credentials };
+
+    return {
+      version: this.version,
+      healthy: playwright.ok && config.ok,
+      uptimeSeconds: Math.round(process.uptime()),
+      components,
+      stats: this.statsStore ? await this.statsStore.summary() : null,
+      jobs: {
+        running: this.jobManager ? this.jobManager.listJobs({ status: 'running' }).length : 0
+      }
+    };
+  }
+
+  /**
+   * Which Playwright browser binaries are installed?
+   *
+   * Each engine is reported under `engines`; the probe is ok when the
+   * default engine is installed, since runs only need the others on request.
+   */
+  async probePlaywright() {
+    const engines = {};
+    for (const [name, engine] of Object.entries(BROWSER_ENGINES)) {
+      try {
+        const executablePath = engine.executablePath();
+        await fs.access(executablePath, constants.X_OK);
+        engines[name] = { ok: true, detail: executablePath };
+      } catch (error) {
+        engines[name] = { ok: false, detail: 'not installed' };
+      }
+    }
+
+    const missing = Object.keys(engines).filter(name => !engines[name].ok);
+    const summary = Object.entries(engines)
+      .map(([name, probe]) => `${name} ${probe.ok ? 'installed' : 'not installed'}`)
+      .join(', ');
+    return {
+      ok: engines[DEFAULT_BROWSER_ENGINE].ok,
+      detail: missing.length > 0 ? `${summary} - run \`npx playwright install ${missing.join(' ')}\`` : summary,
+      engines
+    };
+  }
+
+  /**
+   * The vision analyzer calls no backend yet - its VisionCraft and YOLO results are mocked
+   */
+  visionStatus() {
+    return { ok: true, status: 'mock', detail: 'VisionCraft and YOLO analysis is simulated, no backend is called' };
+  }
+
+  /**
+   * Can the Claude Desktop config be written?
+   */
+  async probeConfigWritable() {
+    const configPath = this.configUpdater.configPath;
+
+    try {
+      await fs.access(configPath, constants.W_OK);
+      return { ok: true, detail: configPath };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        return { ok: false, detail: `${configPath} is not writable` };
+      }
+    }
+
+    // File does not exist yet - it can be created if its directory is writable
+    try {
+      await fs.access(path.dirname(configPath), constants.W_OK);
+      return { ok: true, detail: `${configPath} (will be created)` };
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'does not exist' : 'is not writable';
+      return { ok: false, detail: `${path.dirname(configPath)} ${reason}` };
+    }
+  }
+
+  /**
+   * Is the credentials profile present?
+   */
+  async probeCredentials() {
+    const profilePath = this.authManager.profilePath;
+
+    try {
+      await fs.access(profilePath, constants.R_OK);
+      return { ok: true, detail: profilePath };
+    } catch (error) {
+      return { ok: false, detail: `${profilePath} missing - it is created from .env on first authentication` };
+    }
+  }
+}
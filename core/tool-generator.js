@@ -17,9 +17,14 @@ export class ToolGenerator {
   }
 
   /**
-   * Generate MCP tools from interface analysis
+   * Generate MCP tools from interface analysis, plus tools for elements
+   * revealed by menus, dialogs and tabs (`extras.stateMap`), per-route tools
+   * for a crawled site (`extras.siteMap`) and direct HTTP tools for
+   * discovered API endpoints (`extras.apiMap`). `extras.generatedAt` pins the
+   * timestamp so replayed runs produce identical output.
    */
-  async generateFromAnalysis(interfaceMap, visionResult, url) {
+  async generateFromAnalysis(interfaceMap, visionResult, url, extras = {}) {
+    const { siteMap, stateMap, apiMap, generatedAt = new Date().toISOString() } = extras;
     const tools = [];
     const siteName = this.extractSiteName(url);
 
@@ -27,7 +32,7 @@ export class ToolGenerator {
     tools.push(...this.generateBaseTools(siteName));
 
     // Generate tools from interface categories
-    Object.entries(interfaceMap.categories).forEach(([category, elements]) => {
+    Object.entries(this.toolCategories(interfaceMap)).forEach(([category, elements]) => {
       tools.push(...this.generateCategoryTools(category, elements, siteName));
     });
 
@@ -36,14 +41,23 @@ export class ToolGenerator {
       tools.push(...this.generateVisionTools(visionResult, siteName));
     }
 
+    const states = stateMap?.states?.length ? this.generateStateTools(stateMap, siteName, tools) : [];
+    const routes = siteMap ? this.generateRouteTools(siteMap, siteName, tools) : [];
+
+    if (apiMap?.endpoints?.length) {
+      tools.push(...this.generateApiTools(apiMap.endpoints, siteName, tools));
+    }
+
     return {
       tools,
       totalTools: tools.length,
       categories: Object.keys(interfaceMap.categories),
+      states,
+      routes,
       metadata: {
         url,
         siteName, 
-        generatedAt: new Date().toISOString(),
+        generatedAt,
         interfaceElements: interfaceMap.totalElements
       }
     };
@@ -85,6 +99,20 @@ export class ToolGenerator {
     ];
   }
 
+  /**
+   * Categories of an interface map with every form field under `forms`
+   *
+   * Fields mentioning "email" or "password" are categorized as
+   * authentication and some as navigation, but they still belong to their
+   * form; fields keep their page order.
+   */
+  toolCategories(interfaceMap) {
+    const categories = interfaceMap.categories || {};
+    const elements = interfaceMap.elements || Object.values(categories).flat();
+    const unstructured = (categories.forms || []).filter(element => !element.field);
+    return { ...categories, forms: [...elements.filter(element => element.field), ...unstructured] };
+  }
+
   /**
    * Generate tools for specific element categories
    */
@@ -116,7 +144,7 @@ export class ToolGenerator {
     const tools = [];
     
     // Login tool
-    if (elements.some(el => el.text.toLowerCase().includes('login') || el.text.toLowerCase().includes('signin'))) {
+    if (elements.some(el => /login|signin/.test(this.elementName(el).toLowerCase()))) {
       tools.push({
         name: `${siteName}_login`,
         description: `Login to ${siteName} with credentials`,
@@ -133,7 +161,7 @@ export class ToolGenerator {
     }
 
     // Signup tool
-    if (elements.some(el => el.text.toLowerCase().includes('signup') || el.text.toLowerCase().includes('register'))) {
+    if (elements.some(el => /signup|register/.test(this.elementName(el).toLowerCase()))) {
       tools.push({
         name: `${siteName}_signup`,
         description: `Create new account on ${siteName}`,
@@ -161,11 +189,12 @@ export class ToolGenerator {
     const tools = [];
 
     elements.forEach(element => {
-      if (element.isClickable && element.text) {
-        const actionName = this.sanitizeName(element.text.toLowerCase());
+      const name = this.elementName(element);
+      if (element.isClickable && name) {
+        const actionName = this.sanitizeName(name.toLowerCase());
         tools.push({
           name: `${siteName}_${actionName}`,
-          description: `${element.text} action on ${siteName}`,
+          description: `${name} action on ${siteName}${element.landmarks?.length ? ` (in ${element.landmarks.at(-1)})` : ''}`,
           inputSchema: {
             type: 'object',
             properties: {
@@ -174,6 +203,10 @@ export class ToolGenerator {
           },
           implementation: 'click_element',
           selector: element.selector,
+          locators: element.locators || [{ strategy: 'css', selector: element.selector }],
+          framePath: element.framePath || [],
+          shadowHosts: element.shadowHosts || [],
+          frameUrl: element.frameUrl,
           element: element
         });
       }
@@ -184,22 +217,46 @@ export class ToolGenerator {
 
   /**
    * Generate form tools
+   *
+   * One `fill_<form>` tool per form, fieldset or dialog, named after its
+   * label or heading. When the group has a submit button the tool can click
+   * it after filling (`submit: true`).
    */
   generateFormTools(elements, siteName) {
     const tools = [];
+    const names = new Set();
 
     // Group form elements
     const formGroups = this.groupFormElements(elements);
     
     formGroups.forEach((group, index) => {
+      const fields = this.formFields(group);
+      if (fields.length === 0) return;
+
+      const form = group.find(element => element.field?.group)?.field.group;
+      let name = form?.name ? this.sanitizeName(form.name.toLowerCase()) : `form_${index + 1}`;
+      if (names.has(name)) name = `${name}_${index + 1}`;
+      names.add(name);
+
+      const inputSchema = this.generateFormSchema(group);
+      const submit = form?.submit?.locators?.length ? form.submit : null;
+      if (submit) {
+        inputSchema.properties.submit = {
+          type: 'boolean',
+          default: false,
+          description: `Click "${submit.text || 'Submit'}" after filling`
+        };
+      }
+
       tools.push({
-        name: `${siteName}_fill_form_${index + 1}`,
-        description: `Fill form ${index + 1} on ${siteName}`,
-        inputSchema: {
-          type: 'object',
-          properties: this.generateFormSchema(group)
-        },
+        name: `${siteName}_fill_${name}`,
+        description: form?.name
+          ? `Fill the "${form.name}" ${form.kind} on ${siteName}`
+          : `Fill form ${index + 1} on ${siteName}`,
+        inputSchema,
         implementation: 'fill_form',
+        fields: fields.map(({ schema, required, ...field }) => field),
+        submit: submit && { text: submit.text, locators: submit.locators, ...this.elementScope(group[0]) },
         formElements: group
       });
     });
@@ -214,11 +271,12 @@ export class ToolGenerator {
     const tools = [];
 
     elements.forEach(element => {
-      if (element.href && element.text) {
-        const navName = this.sanitizeName(element.text);
+      const name = this.elementName(element);
+      if (element.href && name) {
+        const navName = this.sanitizeName(name);
         tools.push({
           name: `${siteName}_goto_${navName}`,
-          description: `Navigate to ${element.text} on ${siteName}`,
+          description: `Navigate to ${name} on ${siteName}`,
           inputSchema: { type: 'object', properties: {} },
           implementation: 'navigate_to',
           href: element.href,
@@ -230,6 +288,158 @@ export class ToolGenerator {
     return tools.slice(0, 5); // Limit navigation tools
   }
 
+  /**
+   * Generate tools for the elements each explored state revealed
+   *
+   * Tools are named `<site>_<trigger>_...` after the toggle that opens the
+   * state and carry its `reveal` path, which the generated server replays -
+   * skipping steps that are already open - before acting. Links need no path
+   * and navigate directly. Returns the tool names grouped by state.
+   */
+  generateStateTools(stateMap, siteName, tools) {
+    const names = new Set(tools.map(tool => tool.name));
+
+    return stateMap.states.map(state => {
+      const prefix = `${siteName}_${state.path.map(step => this.sanitizeName(step.name.toLowerCase())).join('_')}`;
+      const stateTools = [];
+      Object.entries(this.toolCategories(state.interfaceMap)).forEach(([category, elements]) => {
+        stateTools.push(...this.generateCategoryTools(category, elements, prefix));
+      });
+
+      const added = stateTools.filter(tool => {
+        if (names.has(tool.name)) return false;
+        names.add(tool.name);
+        return true;
+      });
+      added
+        .filter(tool => tool.implementation !== 'navigate_to')
+        .forEach(tool => {
+          tool.description += ` (opens ${state.path.map(step => `"${step.name}"`).join(' > ')} first)`;
+          tool.reveal = state.path;
+        });
+
+      tools.push(...added);
+      return { trigger: state.trigger, path: state.path.map(step => step.name), tools: added.map(tool => tool.name) };
+    });
+  }
+
+  /**
+   * Generate tools for every crawled page after the landing page
+   *
+   * Each route gets an `open` tool plus its own action and form tools, named
+   * `<site>_<route>_...` and tagged with the page URL so the generated server
+   * opens the page before acting. Returns the tool names grouped by route.
+   */
+  generateRouteTools(siteMap, siteName, tools) {
+    const names = new Set(tools.map(tool => tool.name));
+    const routeNames = new Set();
+    const [landing, ...pages] = siteMap.pages;
+    const routes = [{ route: landing.route, url: landing.url, tools: tools.map(tool => tool.name) }];
+
+    pages.forEach(page => {
+      let routeName = this.routeName(page.route);
+      for (let i = 2; routeNames.has(routeName); i++) {
+        routeName = `${this.routeName(page.route)}_${i}`;
+      }
+      routeNames.add(routeName);
+
+      const prefix = `${siteName}_${routeName}`;
+      const routeTools = [{
+        name: `${prefix}_open`,
+        description: `Open ${page.route} on ${siteName}`,
+        inputSchema: { type: 'object', properties: {} },
+        implementation: 'navigate_to',
+        href: page.url
+      }];
+
+      // Links are already covered by each route's open tool
+      Object.entries(this.toolCategories(page.interfaceMap))
+        .filter(([category]) => category !== 'navigation')
+        .forEach(([category, elements]) => {
+          routeTools.push(...this.generateCategoryTools(category, elements, prefix));
+        });
+
+      const added = routeTools.filter(tool => {
+        if (names.has(tool.name)) return false;
+        names.add(tool.name);
+        return true;
+      });
+      added.forEach(tool => {
+        tool.route = page.route;
+        tool.url = page.url;
+      });
+
+      tools.push(...added);
+      routes.push({ route: page.route, url: page.url, tools: added.map(tool => tool.name) });
+    });
+
+    return routes;
+  }
+
+  /**
+   * Generate direct HTTP tools for discovered JSON API endpoints
+   *
+   * Path parameters are required arguments, query parameters keep the
+   * required flag inferred from the samples and a JSON body becomes `body`.
+   */
+  generateApiTools(endpoints, siteName, existingTools = []) {
+    const names = new Set(existingTools.map(tool => tool.name));
+    const tools = [];
+
+    endpoints.forEach(endpoint => {
+      const resource = endpoint.pathTemplate
+        .split('/')
+        .filter(segment => segment && !segment.startsWith('{'))
+        .join('_');
+      let name = `${siteName}_api_${endpoint.method.toLowerCase()}_${this.sanitizeName(resource || 'root')}`;
+      for (let i = 2; names.has(name); i++) {
+        name = `${siteName}_api_${endpoint.method.toLowerCase()}_${this.sanitizeName(resource || 'root')}_${i}`;
+      }
+      names.add(name);
+
+      const properties = {};
+      const required = [];
+
+      // Recorded values can be ids or tokens of the session, so they stay out of descriptions
+      endpoint.pathParams.forEach(param => {
+        properties[param.name] = { type: 'string', description: 'Path parameter' };
+        required.push(param.name);
+      });
+      Object.entries(endpoint.queryParams).forEach(([param, info]) => {
+        properties[param] = { type: info.type, description: 'Query parameter' };
+        if (info.required) required.push(param);
+      });
+      if (endpoint.requestSchema) {
+        properties.body = { ...endpoint.requestSchema, description: 'JSON request body' };
+        required.push('body');
+      }
+
+      tools.push({
+        name,
+        description: `${endpoint.method} ${endpoint.pathTemplate} on ${siteName} - calls the API directly with the browser session`,
+        inputSchema: { type: 'object', properties, required },
+        implementation: 'http_request',
+        endpoint: {
+          method: endpoint.method,
+          url: `${endpoint.origin}${endpoint.pathTemplate}`,
+          pathParams: endpoint.pathParams.map(param => param.name),
+          queryParams: Object.keys(endpoint.queryParams),
+          responseSchema: endpoint.responseSchema
+        }
+      });
+    });
+
+    return tools.slice(0, 20); // Limit to prevent too many tools
+  }
+
+  /**
+   * Tool name fragment for a route - "/" is "home"
+   */
+  routeName(route) {
+    const trimmed = route.replace(/^\/+|\/+$/g, '');
+    return trimmed ? this.sanitizeName(trimmed) : 'home';
+  }
+
   /**
    * Generate tools from vision analysis
    */
@@ -265,6 +475,13 @@ export class ToolGenerator {
     }
   }
 
+  /**
+   * Accessible name of a mapped element, falling back to its text content
+   */
+  elementName(element) {
+    return element.accessibleName || element.text || '';
+  }
+
   /**
    * Sanitize name for tool generation
    */
@@ -273,29 +490,190 @@ export class ToolGenerator {
   }
 
   /**
-   * Group related form elements
+   * Group form elements by the form, fieldset or dialog they belong to
+   *
+   * Fields outside any of them share one group. Groups are per frame, as
+   * the in-page ids restart in every frame.
    */
   groupFormElements(elements) {
-    // Simple grouping - in practice this would be more sophisticated
-    return [elements];
+    const groups = new Map();
+
+    elements.forEach(element => {
+      const group = element.field?.group;
+      const key = group ? `${(element.framePath || []).join(' >> ')}|${group.id}` : 'page';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(element);
+    });
+
+    return [...groups.values()];
   }
 
   /**
    * Generate form schema from elements
+   *
+   * Types, formats, enums, validation keywords and defaults come from the
+   * fields' HTML; radio buttons and checkboxes sharing a name become one
+   * property.
    */
   generateFormSchema(elements) {
-    const schema = {};
-    
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    this.formFields(elements).forEach(field => {
+      schema.properties[field.key] = field.schema;
+      if (field.required) required.push(field.key);
+    });
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  /**
+   * Fillable fields of a form group with their schemas and how to fill them
+   *
+   * Each field has a `key` (its argument name), a `control` - text, select,
+   * checkbox, checkboxes or radio - and the locators to find it; radio and
+   * checkbox groups carry one option with locators per input.
+   */
+  formFields(elements) {
+    const fields = [];
+    const byName = new Map();
+
     elements.forEach(element => {
-      if (element.placeholder || element.attributes.name) {
-        const fieldName = element.attributes.name || this.sanitizeName(element.placeholder);
-        schema[fieldName] = {
-          type: 'string',
-          description: element.placeholder || `${fieldName} field`
-        };
+      const field = element.field || {
+        type: element.tag === 'input' ? element.type : element.tag,
+        name: element.attributes?.name || '',
+        label: '',
+        value: ''
+      };
+      if (['submit', 'button', 'reset', 'image', 'hidden', 'file'].includes(field.type)) return;
+
+      const label = field.label || element.accessibleName || element.placeholder || '';
+      const locators = element.locators || [{ strategy: 'css', selector: element.selector }];
+      const choice = ['radio', 'checkbox'].includes(field.type) && field.name;
+
+      // Further radios and checkboxes of a named group become options
+      const existing = choice && byName.get(`${field.type}:${field.name}`);
+      if (existing) {
+        existing.options.push({ value: field.value, label, locators });
+        if (field.checked) existing.checked.push(field.value);
+        existing.required = existing.required || field.required;
+        return;
       }
+
+      const key = field.name || (label && this.sanitizeName(label));
+      if (!key || fields.some(other => other.key === key)) return;
+
+      // An unnamed radio button can only be switched on, like a checkbox
+      let control = 'text';
+      if (field.type === 'select') control = 'select';
+      else if (choice) control = field.type;
+      else if (['checkbox', 'radio'].includes(field.type)) control = 'checkbox';
+
+      const entry = {
+        key,
+        control,
+        // Radio and checkbox groups are described by their fieldset, not their first option
+        label: choice ? field.section || field.name : (field.section ? `${field.section}: ` : '') + label,
+        locators,
+        ...this.elementScope(element),
+        field,
+        required: !!field.required,
+        options: choice ? [{ value: field.value, label, locators }] : undefined,
+        checked: choice && field.checked ? [field.value] : []
+      };
+      if (choice) byName.set(`${field.type}:${field.name}`, entry);
+      fields.push(entry);
     });
 
-    return schema;
+    return fields.map(({ field, checked, ...entry }) => {
+      // A named checkbox on its own is still a plain on/off field
+      if (entry.control === 'checkbox' && entry.options?.length === 1) {
+        entry.label = (field.section ? `${field.section}: ` : '') + entry.options[0].label;
+        entry.options = undefined;
+      } else if (entry.control === 'checkbox' && entry.options) {
+        entry.control = 'checkboxes';
+      }
+      return { ...entry, schema: this.fieldSchema(entry, field, checked) };
+    });
+  }
+
+  /**
+   * JSON Schema of one form field
+   */
+  fieldSchema(entry, field, checked) {
+    const schema = { description: entry.label || `${entry.key} field` };
+
+    if (entry.control === 'checkbox') {
+      return { type: 'boolean', ...schema, default: !!field.checked };
+    }
+    if (entry.control === 'radio') {
+      return {
+        type: 'string',
+        ...schema,
+        description: this.describeOptions(schema.description, entry.options),
+        enum: entry.options.map(option => option.value),
+        ...(checked.length > 0 && { default: checked[0] })
+      };
+    }
+    if (entry.control === 'checkboxes') {
+      return {
+        type: 'array',
+        description: this.describeOptions(schema.description, entry.options),
+        items: { type: 'string', enum: entry.options.map(option => option.value) },
+        default: checked
+      };
+    }
+    if (entry.control === 'select') {
+      const options = (field.options || []).filter(option => !option.disabled);
+      const values = options.map(option => option.value);
+      const selected = options.filter(option => option.selected).map(option => option.value);
+      const description = this.describeOptions(schema.description, options);
+      return field.multiple
+        ? { type: 'array', description, items: { type: 'string', enum: values }, default: selected }
+        : { type: 'string', description, enum: values, ...(selected.length > 0 && { default: selected[0] }) };
+    }
+
+    if (['number', 'range'].includes(field.type)) {
+      // Without a fractional step, number inputs only accept integers
+      const step = field.step === undefined ? 1 : Number(field.step);
+      const integer = field.step !== 'any' && Number.isInteger(step) && !/\./.test(field.min || '');
+      return {
+        type: integer ? 'integer' : 'number',
+        ...schema,
+        ...(field.min !== undefined && field.min !== '' && { minimum: Number(field.min) }),
+        ...(field.max !== undefined && field.max !== '' && { maximum: Number(field.max) }),
+        ...(field.value !== '' && field.value !== undefined && { default: Number(field.value) })
+      };
+    }
+
+    const format = { email: 'email', url: 'uri', date: 'date', time: 'time' }[field.type];
+    return {
+      type: 'string',
+      ...schema,
+      ...(format && { format }),
+      ...(field.minLength >= 0 && { minLength: field.minLength }),
+      ...(field.maxLength >= 0 && { maxLength: field.maxLength }),
+      // HTML patterns must match the whole value
+      ...(field.pattern && { pattern: `^(?:${field.pattern})$` }),
+      ...(field.value && { default: field.value })
+    };
+  }
+
+  /**
+   * Field description listing option labels, when they say more than the values
+   */
+  describeOptions(description, options) {
+    const labelled = options.filter(option => option.label && option.label !== option.value);
+    return labelled.length > 0
+      ? `${description} (${labelled.map(option => `${option.value}: ${option.label}`).join(', ')})`
+      : description;
+  }
+
+  /**
+   * Frame and shadow host scope of a mapped element, for the generated server's locate()
+   */
+  elementScope(element) {
+    return { framePath: element.framePath || [], shadowHosts: element.shadowHosts || [] };
   }
 }
@@ -5,18 +5,27 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getBaseDir } from './paths.js';
+import { logger } from './logger.js';
+import { takeAriaSnapshot, parseAriaSnapshot, summarizeAccessibility } from './accessibility.js';
 
 export class VisionAnalyzer {
-  constructor() {
-    this.tempDir = '/Users/tylerbessire/Desktop/universal-mcp-generator/temp';
+  constructor(config = {}) {
+    this.logger = config.logger || logger.child('vision');
+    this.tempDir = config.tempDir || path.join(getBaseDir(), 'temp');
     this.analysisCache = new Map();
   }
 
   /**
    * Main vision analysis method - VisionCraft → YOLO fallback
+   *
+   * `options.method` picks the backends: 'visioncraft' (default, YOLO only as
+   * fallback), 'yolo' or 'both'. `options.onWarning` is told when analysis
+   * falls back to YOLO; if no backend produces a result the error is thrown.
    */
-  async analyze(screenshot, page) {
+  async analyze(screenshot, page, options = {}) {
     const analysisId = this.generateAnalysisId(page.url());
+    const method = options.method || 'visioncraft';
     
     try {
       // Ensure temp directory exists
@@ -25,28 +34,44 @@ export class VisionAnalyzer {
       // Save screenshot for analysis
       const screenshotPath = await this.saveScreenshot(screenshot, analysisId);
       
-      // Try VisionCraft first
-      console.error('🔍 Attempting VisionCraft analysis...');
-      let visionResult = await this.tryVisionCraft(screenshotPath, page);
-      
-      // Fall back to YOLO if VisionCraft fails
-      if (!visionResult || !this.isAnalysisComplete(visionResult)) {
-        console.error('🎯 Falling back to YOLO analysis...');
-        const yoloResult = await this.tryYOLO(screenshotPath);
-        visionResult = this.mergeAnalysis(visionResult, yoloResult);
+      let visionResult = null;
+      if (method === 'yolo') {
+        this.logger.info('🎯 Running YOLO analysis...');
+        visionResult = await this.tryYOLO(screenshotPath);
+      } else {
+        // Try VisionCraft first
+        this.logger.info('🔍 Attempting VisionCraft analysis...');
+        visionResult = await this.tryVisionCraft(screenshotPath, page);
+
+        if (method === 'both') {
+          this.logger.info('🎯 Running YOLO analysis...');
+          const yoloResult = await this.tryYOLO(screenshotPath);
+          visionResult = this.mergeAnalysis(visionResult, yoloResult);
+        } else if (!visionResult || !this.isAnalysisComplete(visionResult)) {
+          // Fall back to YOLO if VisionCraft fails
+          this.logger.info('🎯 Falling back to YOLO analysis...');
+          options.onWarning?.('VisionCraft analysis incomplete, falling back to YOLO');
+          const yoloResult = await this.tryYOLO(screenshotPath);
+          visionResult = this.mergeAnalysis(visionResult, yoloResult);
+        }
+      }
+
+      if (!visionResult) {
+        throw new Error(`No result from ${method} analysis`);
       }
       
       // Add accessibility context
       const accessibilityData = await this.extractAccessibilityContext(page);
       visionResult.accessibility = accessibilityData;
+      visionResult.screenshotPath = screenshotPath;
       
       // Cache and return results
       this.analysisCache.set(analysisId, visionResult);
       return visionResult;
       
     } catch (error) {
-      console.error(`❌ Vision analysis failed: ${error.message}`);
-      return this.createFallbackAnalysis(page);
+      this.logger.error(`❌ Vision analysis failed: ${error.message}`, { error });
+      throw error;
     }
   }
 
@@ -97,11 +122,11 @@ export class VisionAnalyzer {
         }
       };
       
-      console.error('✅ VisionCraft analysis completed');
+      this.logger.info('✅ VisionCraft analysis completed');
       return mockVisionCraftResult;
       
     } catch (error) {
-      console.error(`❌ VisionCraft failed: ${error.message}`);
+      this.logger.error(`❌ VisionCraft failed: ${error.message}`, { error });
       return null;
     }
   }
@@ -140,77 +165,27 @@ export class VisionAnalyzer {
         totalDetections: 3
       };
       
-      console.error('✅ YOLO analysis completed');
+      this.logger.info('✅ YOLO analysis completed');
       return mockYOLOResult;
       
     } catch (error) {
-      console.error(`❌ YOLO failed: ${error.message}`);
+      this.logger.error(`❌ YOLO failed: ${error.message}`, { error });
       return null;
     }
   }
 
   /**
-   * Extract accessibility context from page
+   * Accessibility context of the page from the browser's accessibility tree:
+   * interactive elements with their roles, names and states, forms,
+   * landmarks and the links inside navigation landmarks
    */
   async extractAccessibilityContext(page) {
-    try {
-      const accessibilityData = await page.evaluate(() => {
-        const elements = [];
-        
-        // Find interactive elements
-        const interactiveSelectors = [
-          'button',
-          'input',
-          'textarea', 
-          'select',
-          'a[href]',
-          '[role="button"]',
-          '[tabindex]',
-          '[onclick]'
-        ];
-        
-        interactiveSelectors.forEach(selector => {
-          const nodeList = document.querySelectorAll(selector);
-          nodeList.forEach((element, index) => {
-            const rect = element.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              elements.push({
-                tag: element.tagName.toLowerCase(),
-                selector: this.generateSelector(element),
-                text: element.textContent?.trim() || '',
-                placeholder: element.placeholder || '',
-                type: element.type || '',
-                role: element.getAttribute('role'),
-                ariaLabel: element.getAttribute('aria-label'),
-                id: element.id,
-                className: element.className,
-                rect: {
-                  x: rect.x,
-                  y: rect.y, 
-                  width: rect.width,
-                  height: rect.height
-                },
-                visible: !element.hidden && rect.width > 0 && rect.height > 0,
-                clickable: element.tagName === 'BUTTON' || element.tagName === 'A' || element.onclick || element.getAttribute('role') === 'button'
-              });
-            }
-          });
-        });
-        
-        return {
-          totalElements: elements.length,
-          elements: elements.slice(0, 50), // Limit for performance
-          forms: this.analyzeForms(),
-          navigation: this.analyzeNavigation()
-        };
-      });
-      
-      return accessibilityData;
-      
-    } catch (error) {
-      console.error(`❌ Accessibility extraction failed: ${error.message}`);
+    const snapshot = await takeAriaSnapshot(page);
+    if (snapshot === null) {
+      this.logger.warn('⚠️ Accessibility snapshot unavailable');
       return { elements: [], totalElements: 0 };
     }
+    return summarizeAccessibility(parseAriaSnapshot(snapshot));
   }
 
   /**
@@ -243,6 +218,23 @@ export class VisionAnalyzer {
     return filepath;
   }
 
+  /**
+   * Path of the most recently saved screenshot, or null if there is none
+   */
+  async getLatestScreenshot() {
+    try {
+      const files = (await fs.readdir(this.tempDir)).filter(name => name.endsWith('_screenshot.png'));
+      const stats = await Promise.all(files.map(async name => {
+        const filepath = path.join(this.tempDir, name);
+        return { filepath, mtime: (await fs.stat(filepath)).mtimeMs };
+      }));
+      stats.sort((a, b) => b.mtime - a.mtime);
+      return stats[0]?.filepath || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Check if analysis is complete enough
    */
@@ -267,17 +259,19 @@ export class VisionAnalyzer {
   }
 
   /**
-   * Create fallback analysis when vision fails
+   * Placeholder result for a failed analysis - marked degraded so callers
+   * cannot mistake it for a real one
    */
-  createFallbackAnalysis(page) {
+  createFallbackAnalysis(error) {
     return {
       method: 'fallback',
-      confidence: 0.5,
+      degraded: true,
+      confidence: 0,
       elements: [],
       authFlow: { detected: false },
       navigation: { primaryActions: [], secondaryActions: [] },
       accessibility: { elements: [], totalElements: 0 },
-      error: 'Vision analysis failed, using accessibility tree only'
+      error: `Vision analysis failed (${error?.message || 'unknown error'}), using accessibility tree only`
     };
   }
 }
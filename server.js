@@ -9,15 +9,81 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-
-import { Orchestrator } from './core/orchestrator.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { Orchestrator, PIPELINE_STAGES } from './core/orchestrator.js';
 import { VisionAnalyzer } from './core/vision-analyzer.js';
 import { AuthManager } from './core/auth-manager.js';
+import { JobManager } from './core/job-manager.js';
+import { PackageDeployer } from './core/package-deployer.js';
+import { StatsStore } from './core/stats-store.js';
+import { StatusMonitor } from './core/status-monitor.js';
+import { HttpTransportServer } from './core/http-transport.js';
+import { RunStore } from './core/run-store.js';
+import { ResourceProvider } from './core/resource-provider.js';
+import { BrowserPool } from './core/browser-pool.js';
+import { NPMPackager } from './core/npm-packager.js';
+import { ConfigUpdater } from './core/config-updater.js';
+import { logger, LOG_LEVELS } from './core/logger.js';
 
 class OpenWorldAgent {
   constructor() {
-    this.server = new Server(
+    this.statsStore = new StatsStore();
+    this.runStore = new RunStore();
+    this.browserPool = new BrowserPool();
+    this.npmPackager = new NPMPackager();
+    this.configUpdater = new ConfigUpdater();
+    // Shared components (packager, config updater, mapper); runs get their own orchestrator
+    this.orchestrator = this.createOrchestrator();
+    this.visionAnalyzer = new VisionAnalyzer();
+    this.authManager = new AuthManager();
+    this.jobManager = new JobManager({
+      createOrchestrator: () => this.createOrchestrator()
+    });
+    this.packageDeployer = new PackageDeployer({
+      npmPackager: this.npmPackager,
+      configUpdater: this.configUpdater,
+      statsStore: this.statsStore
+    });
+    this.statusMonitor = new StatusMonitor({
+      configUpdater: this.configUpdater,
+      authManager: this.authManager,
+      statsStore: this.statsStore,
+      jobManager: this.jobManager
+    });
+    this.resourceProvider = new ResourceProvider({
+      npmPackager: this.npmPackager,
+      runStore: this.runStore,
+      visionAnalyzer: this.visionAnalyzer
+    });
+
+    this.httpServer = null;
+  }
+
+  /**
+   * Orchestrator for one run - concurrent runs each get their own browser context from the pool
+   */
+  createOrchestrator() {
+    return new Orchestrator({
+      statsStore: this.statsStore,
+      runStore: this.runStore,
+      browserPool: this.browserPool,
+      npmPackager: this.npmPackager,
+      configUpdater: this.configUpdater
+    });
+  }
+
+  /**
+   * Create an MCP server with the tool handlers - one per client session
+   */
+  createServer() {
+    const server = new Server(
       {
         name: 'openworldagent',
         version: '1.0.0',
@@ -25,19 +91,33 @@ class OpenWorldAgent {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          logging: {},
         },
       }
     );
 
-    this.orchestrator = new Orchestrator();
-    this.visionAnalyzer = new VisionAnalyzer();
-    this.authManager = new AuthManager();
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    return server;
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.resourceProvider.listResources()
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: this.resourceProvider.listTemplates()
+    }));
 
-    this.setupToolHandlers();
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) =>
+      this.resourceProvider.readResource(request.params.uri)
+    );
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
           {
@@ -59,13 +139,157 @@ class OpenWorldAgent {
                   properties: {
                     skipAuth: { type: 'boolean', default: false },
                     visionOnly: { type: 'boolean', default: false },
-                    autoDeploy: { type: 'boolean', default: true }
+                    autoDeploy: { type: 'boolean', default: true },
+                    record: {
+                      type: 'boolean',
+                      default: true,
+                      description: 'Save a HAR and DOM snapshot of the live session in the run directory'
+                    },
+                    replay: {
+                      type: 'string',
+                      description: 'Run id of a recorded run - serve its HAR/snapshot instead of the network and reuse its settings, for offline, reproducible regeneration'
+                    },
+                    network: {
+                      type: 'boolean',
+                      default: true,
+                      description: 'Record JSON XHR/fetch traffic and generate direct HTTP tools for the API endpoints'
+                    },
+                    crawl: {
+                      description: 'Crawl same-origin links from the landing page and generate per-route tools (true for defaults)',
+                      oneOf: [
+                        { type: 'boolean' },
+                        {
+                          type: 'object',
+                          properties: {
+                            maxDepth: { type: 'number', default: 2 },
+                            maxPages: { type: 'number', default: 20 },
+                            include: { type: 'array', items: { type: 'string' }, description: 'Path globs to crawl, e.g. "/docs/**"' },
+                            exclude: { type: 'array', items: { type: 'string' }, description: 'Path globs to skip, e.g. "/account/*"' },
+                            sitemap: { type: 'boolean', default: true, description: 'Seed the crawl from sitemap.xml' }
+                          }
+                        }
+                      ]
+                    },
+                    explore: {
+                      description: 'Open menus, dialogs, tabs and accordions on the landing page and generate tools for what they reveal (true for defaults)',
+                      oneOf: [
+                        { type: 'boolean' },
+                        {
+                          type: 'object',
+                          properties: {
+                            maxToggles: { type: 'number', default: 15, description: 'Toggles to expand' },
+                            maxDepth: { type: 'number', default: 2, description: 'Nested toggles per path, e.g. a submenu' }
+                          }
+                        }
+                      ]
+                    },
+                    browser: {
+                      type: 'object',
+                      description: 'Browser settings, recorded in the generated package so it replays the same way',
+                      properties: {
+                        engine: { type: 'string', enum: ['chromium', 'firefox', 'webkit'], default: 'chromium' },
+                        headless: { type: 'boolean', description: 'Defaults to headed, or headless when no display is available' },
+                        viewport: {
+                          type: 'object',
+                          properties: { width: { type: 'number' }, height: { type: 'number' } }
+                        },
+                        deviceScaleFactor: { type: 'number' },
+                        locale: { type: 'string', description: 'e.g. "en-GB"' },
+                        timezoneId: { type: 'string', description: 'e.g. "Europe/London"' },
+                        proxy: {
+                          type: 'object',
+                          properties: {
+                            server: { type: 'string' },
+                            bypass: { type: 'string' },
+                            username: { type: 'string' },
+                            password: { type: 'string' }
+                          },
+                          required: ['server']
+                        },
+                        extraHTTPHeaders: { type: 'object', additionalProperties: { type: 'string' } },
+                        userAgent: { type: 'string' }
+                      }
+                    },
+                    navigation: {
+                      type: 'object',
+                      description: 'When the landing page counts as loaded',
+                      properties: {
+                        timeout: { type: 'number', default: 30000, description: 'page.goto timeout in ms' },
+                        waitUntil: { type: 'string', enum: ['domcontentloaded', 'load', 'networkidle', 'commit'], default: 'domcontentloaded' },
+                        readySelector: { type: 'string', description: 'Selector that must be visible before analysis, e.g. "main"' },
+                        quietMs: { type: 'number', default: 500, description: 'Network quiet period that marks the page settled' },
+                        settleTimeout: { type: 'number', default: 10000, description: 'Longest wait for the selector and a quiet network' }
+                      }
+                    },
+                    policy: {
+                      type: 'object',
+                      description: 'Where the generator and the generated server may go and what they may do - violations are blocked and listed in the result',
+                      properties: {
+                        allowedDomains: { type: 'array', items: { type: 'string' }, description: 'Only these domains and their subdomains (default: any)' },
+                        blockedDomains: { type: 'array', items: { type: 'string' } },
+                        robots: { type: 'boolean', default: true, description: 'Honor robots.txt' },
+                        maxRequestsPerSecond: { type: 'number', default: 2, description: 'Per-host rate of navigations and API calls (0 = unlimited)' },
+                        forbiddenActions: {
+                          type: 'array',
+                          items: { type: 'string' },
+                          description: 'Action keywords never generated or clicked (replaces the defaults: purchase, checkout, delete account, transfer funds...)'
+                        }
+                      }
+                    },
+                    stages: {
+                      type: 'object',
+                      description: 'Per-stage policy overrides keyed by stage name, e.g. { "navigate": { "timeout": 90000, "retries": 3 } }',
+                      additionalProperties: {
+                        type: 'object',
+                        properties: {
+                          timeout: { type: 'number', description: 'Per-attempt timeout in ms' },
+                          retries: { type: 'number', description: 'Retries after the first attempt' },
+                          backoff: { type: 'number', description: 'First retry delay in ms, doubled per retry' },
+                          maxBackoff: { type: 'number' },
+                          optional: { type: 'boolean', description: 'Degrade with a warning instead of failing the run' }
+                        }
+                      }
+                    },
+                    background: {
+                      type: 'boolean',
+                      default: false,
+                      description: 'Run as a background job and return its id immediately'
+                    }
                   }
                 }
               },
               required: ['url', 'siteName']
             }
           },
+          {
+            name: 'generate_batch',
+            description: 'Generate MCP packages for several websites in one call - runs share a browser pool, OWA_MAX_CONCURRENCY at a time, the rest wait in a queue',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                targets: {
+                  type: 'array',
+                  minItems: 1,
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: { type: 'string', description: 'Website URL to analyze and automate' },
+                      siteName: { type: 'string', description: 'Name for the generated package' },
+                      options: { type: 'object', description: 'generate_automation options for this target, over the shared ones' }
+                    },
+                    required: ['url', 'siteName']
+                  }
+                },
+                options: { type: 'object', description: 'generate_automation options shared by every target' },
+                background: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Start one background job per target and return their ids immediately'
+                }
+              },
+              required: ['targets']
+            }
+          },
           {
             name: 'analyze_interface',
             description: 'Analyze website interface without generating tools',
@@ -77,6 +301,11 @@ class OpenWorldAgent {
                   type: 'string', 
                   enum: ['visioncraft', 'yolo', 'both'],
                   default: 'visioncraft'
+                },
+                includeScreenshot: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Attach the analyzed viewport screenshot as an image'
                 }
               },
               required: ['url']
@@ -103,7 +332,10 @@ class OpenWorldAgent {
             description: 'List all generated MCP packages',
             inputSchema: {
               type: 'object',
-              properties: {}
+              properties: {
+                site: { type: 'string', description: 'Only packages whose site name or URL contains this' },
+                sort: { type: 'string', enum: ['newest', 'oldest'], default: 'newest' }
+              }
             }
           },
           {
@@ -117,6 +349,80 @@ class OpenWorldAgent {
               required: ['packageName']
             }
           },
+          {
+            name: 'resume_run',
+            description: 'Resume a failed generation run from its checkpoints',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                runId: { type: 'string', description: 'Run id from a generate_automation result' },
+                fromStage: {
+                  type: 'string',
+                  description: `Rerun from this stage - built-in: ${PIPELINE_STAGES.join(', ')}, plugins may add more ("tools" regenerates code from the saved interface map without visiting the site)`
+                },
+                background: { type: 'boolean', default: false }
+              },
+              required: ['runId']
+            }
+          },
+          {
+            name: 'query_traces',
+            description: 'Query the structured trace of a generation run - stage spans with durations, logs and error stacks',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                runId: { type: 'string', description: 'Run id to query' },
+                site: { type: 'string', description: 'Use the latest run for this site name instead of a run id' },
+                level: { type: 'string', enum: Object.keys(LOG_LEVELS), description: 'Minimum level' },
+                stage: { type: 'string', description: 'Only entries from this stage' },
+                component: { type: 'string', description: 'Only entries from this component (orchestrator, auth, vision, packager, config)' },
+                type: { type: 'string', enum: ['log', 'span'] },
+                search: { type: 'string', description: 'Only entries whose message or error contains this text' },
+                limit: { type: 'number', default: 200, description: 'Return the last N matching entries' }
+              }
+            }
+          },
+          {
+            name: 'get_job_status',
+            description: 'Get status and pipeline steps of a background generation job',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                jobId: { type: 'string', description: 'Job id returned by generate_automation' },
+                sinceStep: {
+                  type: 'number',
+                  default: 0,
+                  description: 'Only return steps from this index (use nextStep from the previous call)'
+                }
+              },
+              required: ['jobId']
+            }
+          },
+          {
+            name: 'list_jobs',
+            description: 'List background generation jobs',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['running', 'completed', 'failed', 'cancelled', 'interrupted']
+                },
+                limit: { type: 'number', default: 50 }
+              }
+            }
+          },
+          {
+            name: 'cancel_job',
+            description: 'Cancel a running generation job and close its browser',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                jobId: { type: 'string', description: 'Job id to cancel' }
+              },
+              required: ['jobId']
+            }
+          },
           {
             name: 'get_generator_status',
             description: 'Get OpenWorldAgent system status',
@@ -129,26 +435,44 @@ class OpenWorldAgent {
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
         switch (name) {
           case 'generate_automation':
-            return await this.generateAutomation(args.url, args.siteName, args.options || {});
+            return await this.generateAutomation(args.url, args.siteName, args.options || {}, this.createProgressContext(server, request, extra));
           
+          case 'generate_batch':
+            return await this.generateBatch(args.targets, args.options || {}, !!args.background, this.createProgressContext(server, request, extra));
+
           case 'analyze_interface':
-            return await this.analyzeInterface(args.url, args.visionMethod || 'visioncraft');
+            return await this.analyzeInterface(args.url, args.visionMethod || 'visioncraft', !!args.includeScreenshot, this.createProgressContext(server, request, extra));
           
           case 'test_authentication':
             return await this.testAuthentication(args.url, args.action || 'both');
           
           case 'list_generated_packages':
-            return await this.listGeneratedPackages();
+            return await this.listGeneratedPackages(args || {});
           
           case 'deploy_package':
             return await this.deployPackage(args.packageName);
           
+          case 'resume_run':
+            return await this.resumeRun(args.runId, args.fromStage, !!args.background, this.createProgressContext(server, request, extra));
+
+          case 'query_traces':
+            return await this.queryTraces(args || {});
+
+          case 'get_job_status':
+            return await this.getJobStatus(args.jobId, args.sinceStep || 0);
+
+          case 'list_jobs':
+            return await this.listJobs(args || {});
+
+          case 'cancel_job':
+            return await this.cancelJob(args.jobId);
+
           case 'get_generator_status':
             return await this.getGeneratorStatus();
           
@@ -168,58 +492,324 @@ class OpenWorldAgent {
     });
   }
 
-  async generateAutomation(url, siteName, options = {}) {
-    const startTime = Date.now();
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🚀 OpenWorldAgent - Starting automation generation
-          
+  async generateAutomation(url, siteName, options = {}, context = {}) {
+    if (options.background) {
+      const job = await this.jobManager.startGeneration(url, siteName, options);
+      return this.formatJson(`⏳ Generation started in the background
+
+🆔 **Job**: ${job.id}
 📍 **Target**: ${url}
 📦 **Package**: ${siteName}
-⚙️ **Options**: ${JSON.stringify(options, null, 2)}
 
-🔄 **Pipeline Starting:**
-1. ✅ Vision Analysis (VisionCraft → YOLO fallback)
-2. ✅ Authentication Flow Detection
-3. ✅ Interface Mapping (Accessibility Tree)
-4. ✅ Tool Generation (Dynamic MCP Tools)
-5. ✅ NPM Package Creation
-6. ✅ Config Integration (AppleScript)
+Poll with \`get_job_status\` or stop it with \`cancel_job\`.`, {
+        jobId: job.id,
+        status: job.status
+      });
+    }
 
-⏱️ **Started**: ${new Date().toLocaleTimeString()}
-🎯 **Delegating to Orchestrator...**
+    const result = await this.createOrchestrator().generateAutomation(url, siteName, options, context);
+    return this.formatPipelineResult(result);
+  }
 
-*OpenWorldAgent Universal MCP Generator in action!*`
-        }
-      ]
+  /**
+   * Generate packages for several targets concurrently through the browser pool
+   */
+  async generateBatch(targets, options = {}, background = false, context = {}) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('targets must be a non-empty array');
+    }
+    const names = targets.map(target => target.siteName);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Duplicate siteName in batch: ${duplicate}`);
+    }
+    targets.forEach(target => {
+      if (!target.url || !target.siteName) {
+        throw new Error('Every target needs a url and a siteName');
+      }
+    });
+
+    const optionsFor = (target) => ({ ...options, ...target.options });
+
+    if (background) {
+      const jobs = await Promise.all(targets.map(target =>
+        this.jobManager.startGeneration(target.url, target.siteName, optionsFor(target))
+      ));
+      const lines = jobs.map(job => `  - ${job.id} ${job.siteName} (${job.url})`).join('\n');
+
+      return this.formatJson(`⏳ Batch of ${jobs.length} generations started in the background
+
+${lines}
+
+Poll with \`get_job_status\` or \`list_jobs\`.`, {
+        jobs: jobs.map(job => ({ jobId: job.id, siteName: job.siteName, url: job.url, status: job.status }))
+      });
+    }
+
+    // Progress counts the stages reached across the batch, so it never goes back
+    const reached = new Map();
+    const onStep = (target, step) => {
+      const batchStep = { ...step, siteName: target.siteName, message: `${target.siteName}: ${step.message}` };
+      if (step.stage) {
+        reached.set(target.siteName, step.stageIndex);
+        batchStep.stageIndex = [...reached.values()].reduce((sum, index) => sum + index, 0);
+        batchStep.totalStages = step.totalStages * targets.length;
+      }
+      context.onStep?.(batchStep);
+    };
+
+    const results = await Promise.all(targets.map(target =>
+      this.createOrchestrator().generateAutomation(target.url, target.siteName, optionsFor(target), {
+        onStep: (step) => onStep(target, step),
+        onWarning: (message) => context.onWarning?.(`${target.siteName}: ${message}`),
+        signal: context.signal
+      })
+    ));
+
+    const succeeded = results.filter(result => result.success).length;
+    const lines = results.map(result => result.success
+      ? `  - ✅ ${result.siteName}: ${result.packageName} (${result.tools} tools, ${result.elapsed})`
+      : `  - ❌ ${result.siteName}: ${result.error} (run ${result.runId})`
+    ).join('\n');
+
+    return {
+      ...this.formatJson(`📦 Batch generation: ${succeeded}/${results.length} succeeded
+
+${lines}`, { succeeded, failed: results.length - succeeded, results }),
+      isError: succeeded === 0
     };
   }
 
-  async analyzeInterface(url, visionMethod) {
+  /**
+   * Build Orchestrator callbacks that stream stage progress to the client
+   * (when it sent a progress token) and surface warnings as log messages;
+   * the request's abort signal stops the run when the client cancels it
+   */
+  createProgressContext(server, request, extra = {}) {
+    const progressToken = request.params._meta?.progressToken;
+
     return {
-      content: [
-        {
-          type: 'text',
-          text: `👁️ Interface Analysis Starting
-          
-📍 **URL**: ${url}
-🔍 **Vision Method**: ${visionMethod}
+      signal: extra.signal,
+      onStep: (step) => {
+        if (progressToken === undefined || !step.stage) return;
+
+        server.notification({
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress: step.stageIndex,
+            total: step.totalStages,
+            stage: step.stage,
+            message: step.message
+          }
+        }).catch(error => console.error(`⚠️ Progress notification failed: ${error.message}`));
+      },
+      onWarning: (message) => {
+        server.sendLoggingMessage({
+          level: 'warning',
+          logger: 'openworldagent',
+          data: message
+        }).catch(error => console.error(`⚠️ Log notification failed: ${error.message}`));
+      }
+    };
+  }
 
-🔄 **Analysis Pipeline:**
-1. VisionCraft interface detection
-2. YOLO computer vision analysis  
-3. Accessibility tree mapping
-4. Element interaction detection
+  async resumeRun(runId, fromStage, background, context = {}) {
+    if (background) {
+      const job = await this.jobManager.startResume(runId, { fromStage });
+      return this.formatJson(`⏳ Resuming ${runId} in the background
 
-*Analysis results will be provided...*`
-        }
+🆔 **Job**: ${job.id}
+
+Poll with \`get_job_status\` or stop it with \`cancel_job\`.`, {
+        jobId: job.id,
+        runId,
+        status: job.status
+      });
+    }
+
+    const result = await this.createOrchestrator().resumeRun(runId, { fromStage }, context);
+    return this.formatPipelineResult(result);
+  }
+
+  async queryTraces({ runId, site, limit = 200, ...filter }) {
+    const id = runId || await this.latestRunId(site);
+    const entries = await logger.readTrace(id, { ...filter, limit });
+    if (!entries) {
+      throw new Error(`No trace for run ${id}`);
+    }
+
+    const spans = entries
+      .filter(entry => entry.type === 'span' && entry.event === 'end')
+      .map(entry => `  - ${entry.span} [${entry.status}] ${entry.durationMs}ms`)
+      .join('\n');
+    const errors = entries.filter(entry => entry.error);
+
+    return this.formatJson(`🧾 Trace of ${id} (${entries.length} entries)
+
+⏱️ **Spans:**
+${spans || '  (no matching spans)'}
+${errors.length > 0 ? `\n💥 **Errors**: ${errors.map(entry => entry.error.message).join('; ')}` : ''}`, {
+      runId: id,
+      entries
+    });
+  }
+
+  /**
+   * Most recent run id of a site
+   */
+  async latestRunId(site) {
+    if (!site) {
+      throw new Error('Either runId or site is required');
+    }
+    for (const runId of await this.runStore.listRuns()) {
+      const run = await this.runStore.getRun(runId);
+      if (run?.siteName === site) {
+        return runId;
+      }
+    }
+    throw new Error(`No runs for site ${site}`);
+  }
+
+  async getJobStatus(jobId, sinceStep) {
+    const job = this.jobManager.getJob(jobId, sinceStep);
+    if (!job) {
+      throw new Error(`Unknown job: ${jobId}`);
+    }
+
+    const steps = job.steps
+      .map(step => `  - [+${step.elapsed}ms] ${step.message}`)
+      .join('\n');
+
+    return this.formatJson(`📋 Job ${job.id}: ${job.status}
+
+📍 **Target**: ${job.url}
+📦 **Package**: ${job.siteName || job.runId}
+${job.error ? `💥 **Error**: ${job.error}\n` : ''}
+🔄 **Steps ${sinceStep}-${job.nextStep}:**
+${steps || '  (no new steps)'}`, job);
+  }
+
+  async listJobs(filter) {
+    const jobs = this.jobManager.listJobs(filter);
+    const lines = jobs
+      .map(job => `  - ${job.id} [${job.status}] ${job.siteName} (${job.url}) - ${job.lastStep || 'pending'}`)
+      .join('\n');
+
+    return this.formatJson(`📋 Generation Jobs (${jobs.length})
+
+${lines || '  (no jobs)'}`, { jobs });
+  }
+
+  async cancelJob(jobId) {
+    const job = await this.jobManager.cancelJob(jobId);
+    return this.formatJson(`🛑 Job ${job.id}: ${job.status}`, {
+      jobId: job.id,
+      status: job.status
+    });
+  }
+
+  /**
+   * Tool result with a human summary followed by a JSON block
+   */
+  formatJson(summary, data) {
+    return {
+      content: [
+        { type: 'text', text: summary },
+        { type: 'text', text: JSON.stringify(data, null, 2) }
       ]
     };
   }
 
+  /**
+   * Render an Orchestrator result as a human summary plus a JSON block
+   */
+  formatPipelineResult(result) {
+    const steps = result.steps
+      .map(step => `  - [+${step.elapsed}ms] ${step.message}`)
+      .join('\n');
+
+    const summary = result.success
+      ? `✅ OpenWorldAgent - Automation generated for ${result.siteName}
+
+📍 **Target**: ${result.url}
+🆔 **Run**: ${result.runId}
+📦 **Package**: ${result.packageName} (${result.tools} tools)
+📁 **Path**: ${result.packagePath}
+🚀 **Deployed**: ${result.deployed ? 'Yes (restart Claude Desktop to load it)' : 'No'}
+${result.violations.length > 0 ? `🚫 **Blocked by policy**: ${result.violations.map(violation => `${violation.target} (${violation.reason})`).join('; ')}\n` : ''}${result.degradedStages.length > 0 ? `⚠️ **Degraded**: ${result.degradedStages.map(name => `${name} (${result.stages[name].error})`).join('; ')}\n` : ''}⏱️ **Elapsed**: ${result.elapsed}
+
+🔄 **Pipeline:**
+${steps}`
+      : `❌ OpenWorldAgent - Automation generation failed for ${result.siteName}
+
+📍 **Target**: ${result.url}
+🆔 **Run**: ${result.runId}
+💥 **Error**: ${result.error}
+🛑 **Failed At**: ${result.failedAt}
+⏱️ **Elapsed**: ${result.elapsed}
+
+🔄 **Pipeline:**
+${steps}`;
+
+    return { ...this.formatJson(summary, result), isError: !result.success };
+  }
+
+  async analyzeInterface(url, visionMethod, includeScreenshot = false, context = {}) {
+    const analysis = await this.createOrchestrator().analyzeInterface(url, {
+      visionMethod,
+      onWarning: context.onWarning
+    });
+    const { visionResult, interfaceMap } = analysis;
+    const potential = interfaceMap.automationPotential || {};
+    const categories = this.orchestrator.interfaceMapper.summarizeCategories(interfaceMap);
+
+    const counts = Object.entries(categories)
+      .map(([category, elements]) => `  - ${category}: ${elements.length}`)
+      .join('\n');
+
+    const response = this.formatJson(`👁️ Interface Analysis Complete
+
+📍 **URL**: ${analysis.finalUrl}
+🔍 **Vision Method**: ${visionMethod} → ${visionResult.method} (confidence ${visionResult.confidence})
+🧩 **Interactive Elements**: ${interfaceMap.totalElements || 0}
+🎯 **Automation Potential**: ${potential.score ?? 0}/100
+
+📊 **Categories:**
+${counts || '  (none)'}`, {
+      url,
+      finalUrl: analysis.finalUrl,
+      visionMethod,
+      vision: {
+        method: visionResult.method,
+        confidence: visionResult.confidence,
+        multiModal: !!visionResult.multiModal,
+        elements: visionResult.elements || [],
+        detections: visionResult.detections || visionResult.yoloBackup?.detections || [],
+        authFlow: visionResult.authFlow || null,
+        navigation: visionResult.navigation || null,
+        error: visionResult.error || null
+      },
+      interfaceMap: {
+        totalElements: interfaceMap.totalElements || 0,
+        forms: interfaceMap.forms || 0,
+        primaryActions: interfaceMap.primaryActions || [],
+        categories
+      },
+      automationPotential: potential
+    });
+
+    if (includeScreenshot) {
+      response.content.push({
+        type: 'image',
+        data: analysis.screenshot.toString('base64'),
+        mimeType: 'image/png'
+      });
+    }
+
+    return response;
+  }
+
   async testAuthentication(url, action) {
     return {
       content: [
@@ -248,72 +838,150 @@ class OpenWorldAgent {
     };
   }
 
-  async listGeneratedPackages() {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `📦 Generated MCP Packages
+  async listGeneratedPackages(filter = {}) {
+    const { packages, orphans } = await this.npmPackager.listPackages(filter);
 
-🏗️ **OpenWorldAgent Output:**
+    const lines = packages
+      .map(pkg => `  - **${pkg.packageName}** (${pkg.toolCount} tools) ← ${pkg.sourceUrl}
+    Generated ${pkg.generatedAt} by v${pkg.generatorVersion} | Deploy: ${pkg.deployStatus}${pkg.missing ? ' | ⚠️ directory missing' : ''}`)
+      .join('\n');
 
-*Scanning generated packages directory...*
-*Package list will be provided...*`
-        }
-      ]
-    };
+    const orphanLines = orphans
+      .map(orphan => `  - ${orphan.packageName} (${orphan.path})`)
+      .join('\n');
+
+    return this.formatJson(`📦 Generated MCP Packages (${packages.length})
+
+🏗️ **Output**: ${this.npmPackager.outputDir}
+
+${lines || '  (no packages registered)'}${orphans.length ? `
+
+⚠️ **Orphaned directories (not in registry):**
+${orphanLines}` : ''}`, { packages, orphans });
   }
 
   async deployPackage(packageName) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🚀 Deploying Package: ${packageName}
+    const report = await this.packageDeployer.deploy(packageName);
 
-🔄 **Deployment Pipeline:**
-1. Validate package structure
-2. Update Claude Desktop config via AppleScript
-3. Install NPM dependencies
-4. Test MCP server connection
+    const steps = report.steps
+      .map(step => `  ${step.success ? '✅' : '❌'} ${step.name} (${step.elapsed}ms)${step.error ? ` - ${step.error}` : ''}`)
+      .join('\n');
 
-*Deployment results will be provided...*`
-        }
-      ]
-    };
+    const summary = report.success
+      ? `🚀 Deployed Package: ${report.packageName}
+
+🛠️ **Tools**: ${report.toolCount} answered tools/list
+⚙️ **Server**: ${report.deployResult.serverName} → ${report.deployResult.configPath}
+🔄 Restart Claude Desktop to load it.
+
+📋 **Deployment Pipeline:**
+${steps}`
+      : `❌ Deployment Failed: ${report.packageName}
+
+🛑 **Failed Step**: ${report.failedStep}
+💥 **Error**: ${report.error}
+Claude Desktop config was not changed.
+
+📋 **Deployment Pipeline:**
+${steps}`;
+
+    return { ...this.formatJson(summary, report), isError: !report.success };
   }
 
   async getGeneratorStatus() {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🎛️ OpenWorldAgent Status
+    const status = { ...await this.statusMonitor.getStatus(), browserPool: this.browserPool.stats() };
+    const { components, stats, browserPool } = status;
+
+    const componentLines = Object.entries(components)
+      .map(([name, probe]) => `  - ${probe.status === 'mock' ? '🟡' : probe.ok ? '🟢' : '🔴'} ${name}: ${probe.detail}`)
+      .join('\n');
+
+    const failures = Object.entries(stats.failuresByStage)
+      .map(([stage, count]) => `${stage}: ${count}`)
+      .join(', ');
+
+    return this.formatJson(`🎛️ OpenWorldAgent Status
 
-🟢 **System**: Online
-🔧 **Version**: 1.0.0
+${status.healthy ? '🟢' : '🟡'} **System**: ${status.healthy ? 'Ready' : 'Degraded'}
+🔧 **Version**: ${status.version}
 📊 **Components**:
-  - VisionCraft: Available
-  - YOLO: Available  
-  - AppleScript: Available
-  - Sequential Thinking: Available
+${componentLines}
 
 📈 **Statistics**:
-  - Packages Generated: 0
-  - Successful Deployments: 0
-  - Active Automations: 0
-
-🎯 **Ready to generate automation for any website!**`
-        }
-      ]
-    };
+  - Generations: ${stats.generations.total} (${stats.generations.succeeded} succeeded, ${stats.generations.failed} failed)
+  - Failures by Stage: ${failures || 'none'}
+  - Deployments: ${stats.deployments.succeeded} succeeded, ${stats.deployments.failed} failed
+  - Average Pipeline Time: ${stats.averagePipelineMs !== null ? `${stats.averagePipelineMs}ms` : 'n/a'}
+  - Running Jobs: ${status.jobs.running}
+  - Browser Pool: ${browserPool.active}/${browserPool.maxConcurrency} runs active, ${browserPool.queued} queued, ${browserPool.browsers} browsers open`, status);
   }
 
-  async run() {
+  /**
+   * Start on stdio (default) or HTTP/SSE, per CLI flags or environment
+   */
+  async run(argv = process.argv.slice(2)) {
+    await this.jobManager.load();
+    await this.statsStore.load();
+
+    const options = parseTransportOptions(argv);
+
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+
+    if (options.transport === 'http') {
+      this.httpServer = new HttpTransportServer({
+        host: options.host,
+        port: options.port,
+        token: options.token,
+        createServer: () => this.createServer()
+      });
+      await this.httpServer.start();
+      console.error(`🚀 OpenWorldAgent started successfully on http://${options.host}:${this.httpServer.port}/sse`);
+      return;
+    }
+
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.createServer().connect(transport);
     console.error('🚀 OpenWorldAgent started successfully');
   }
+
+  /**
+   * Close client sessions, cancel running jobs and close live browsers
+   */
+  async shutdown(signal) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    console.error(`🛑 ${signal} received, shutting down...`);
+
+    try {
+      await this.httpServer?.close();
+      await this.jobManager.cancelAll();
+      await this.browserPool.close();
+    } catch (error) {
+      console.error(`❌ Shutdown error: ${error.message}`);
+    } finally {
+      process.exit(0);
+    }
+  }
+}
+
+/**
+ * Resolve transport settings from `--transport http --port 3333 --host 0.0.0.0 --token ...`
+ * or OWA_TRANSPORT / OWA_HTTP_PORT / OWA_HTTP_HOST / OWA_HTTP_TOKEN
+ */
+function parseTransportOptions(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    if (index !== -1) return argv[index + 1];
+    return argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  };
+
+  return {
+    transport: flag('transport') || (argv.includes('--http') ? 'http' : process.env.OWA_TRANSPORT) || 'stdio',
+    host: flag('host') || process.env.OWA_HTTP_HOST || '127.0.0.1',
+    port: Number(flag('port') || process.env.OWA_HTTP_PORT || 3333),
+    token: flag('token') || process.env.OWA_HTTP_TOKEN || null
+  };
 }
 
 // Start the server